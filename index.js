@@ -3,26 +3,122 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const path = require('path');
-const fs = require('fs');
 const multer = require('multer');
 
-const { runBoardExtraction, runMarcoPing } = require('./lib/difyClient');
-const { parseModelOutput, buildSummary } = require('./lib/boardState');
+const { runMarcoPing } = require('./lib/difyClient');
+const {
+  runBoardExtraction,
+  buildCacheKey,
+  canPinPrompts,
+  createExtractionCache,
+  getDefaultGameMode,
+  getPrompt,
+  getProviderName,
+  listPrompts,
+  normalizeGameMode,
+  PROVIDER_ERROR_CODES,
+} = require('./lib/extraction');
+const {
+  parseModelOutput,
+  parseBoardPayload,
+  buildSummary,
+  buildUnseenTiles,
+  validateBoardWords,
+  checkWordscapesConsistency,
+  analyzeScrabbleBoard,
+} = require('./lib/boardState');
+const { solveWordscapes, findRackWords, generateScrabbleMoves } = require('./lib/solvers');
+const {
+  createDictionaryRegistry,
+  lookupWord,
+  searchPrefix,
+  searchPattern,
+  searchAnagrams,
+} = require('./lib/dictionary');
 const { getScrabblePoints } = require('./lib/boardState/scrabble');
+const { getPremiumLayout, listPremiumLayouts } = require('./lib/boardState/premiumSquares');
+const { getTileValues, listTileValues } = require('./lib/boardState/tileValues');
+const { preprocessImage } = require('./lib/imagePreprocessing');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { createGame, createSessionStore, describeScores, recordTurn } = require('./lib/sessions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-const dictionaryPath = path.join(__dirname, 'data', 'dictionary', 'full.json');
-const MAX_IMAGE_SIZE_BYTES = 5 * 1024 * 1024;
-const ALLOWED_IMAGE_MIME_TYPES = new Set(['image/png', 'image/jpeg', 'image/webp']);
+const dictionaryDirectory = path.join(__dirname, 'data', 'dictionary');
+const MAX_MOVE_LIMIT = 500;
+const SCRABBLE_RACK_SIZE = 7;
+// Uploads may be large; preprocessing downscales them before they reach the model.
+const MAX_IMAGE_SIZE_BYTES = 20 * 1024 * 1024;
+const MAX_BATCH_IMAGES = 10;
+const DEFAULT_BATCH_CONCURRENCY = 3;
+const ALLOWED_IMAGE_MIME_TYPES = new Set([
+  'image/png',
+  'image/jpeg',
+  'image/webp',
+  'image/heic',
+  'image/heif',
+]);
 
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: MAX_IMAGE_SIZE_BYTES },
 });
 
-function enrichScrabbleRack(rackRaw) {
+function isTruthyFlag(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value !== 'string') {
+    return false;
+  }
+  return ['1', 'true', 'yes'].includes(value.trim().toLowerCase());
+}
+
+function parseMoveLimit(value) {
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    return undefined;
+  }
+  return Math.min(limit, MAX_MOVE_LIMIT);
+}
+
+// Validates the Scrabble variant options before any parsing or model work happens.
+function resolveScrabbleOptions({ layout, tileValues }) {
+  if (!getPremiumLayout(layout)) {
+    return {
+      ok: false,
+      error: {
+        code: 'INVALID_LAYOUT',
+        message: 'Unknown premium-square layout.',
+        details: { layout, available: listPremiumLayouts() },
+      },
+    };
+  }
+
+  if (!getTileValues(tileValues)) {
+    return {
+      ok: false,
+      error: {
+        code: 'INVALID_TILE_VALUES',
+        message: 'Unknown tile-value set.',
+        details: { tileValues, available: listTileValues() },
+      },
+    };
+  }
+
+  return { ok: true, options: { layout, tileValues } };
+}
+
+function inconsistentBoardError(consistency) {
+  return {
+    code: 'BOARD_INCONSISTENT',
+    message: 'Board fields contradict each other.',
+    details: consistency.warnings,
+  };
+}
+
+function enrichScrabbleRack(rackRaw, tileValues) {
   if (!Array.isArray(rackRaw)) {
     return [];
   }
@@ -44,7 +140,7 @@ function enrichScrabbleRack(rackRaw) {
       continue;
     }
 
-    const points = getScrabblePoints(normalizedLetter, false);
+    const points = getScrabblePoints(normalizedLetter, false, tileValues);
     if (!Number.isInteger(points)) {
       continue;
     }
@@ -55,133 +151,1104 @@ function enrichScrabbleRack(rackRaw) {
   return enrichedRack;
 }
 
-// Load dictionary data at startup. Exit early if the file is inaccessible.
-let dictionaryData;
+// Racks arrive as tiles (`enrichScrabbleRack` shape) or as a string like `AEIRST_`,
+// where `_` or `?` is a blank.
+function readRackTiles(rawRack, tileValues) {
+  let tiles = rawRack;
+  if (typeof rawRack === 'string') {
+    const letters = rawRack.replace(/\s+/g, '').toUpperCase();
+    if (!/^[A-Z?_]*$/.test(letters)) {
+      return null;
+    }
+    tiles = letters
+      .split('')
+      .map((char) => (/[A-Z]/.test(char) ? { letter: char, isBlank: false } : { isBlank: true }));
+  }
+  const rack = enrichScrabbleRack(tiles, tileValues);
+  return rack.length > 0 && rack.length <= SCRABBLE_RACK_SIZE ? rack : null;
+}
+
+// Discover the word lists and build the default indexes at startup. Exit early if that fails.
+let dictionaryRegistry;
 try {
-  const rawDictionary = fs.readFileSync(dictionaryPath, 'utf-8');
-  dictionaryData = JSON.parse(rawDictionary);
+  dictionaryRegistry = createDictionaryRegistry(dictionaryDirectory, {
+    defaultName: process.env.DEFAULT_DICTIONARY || 'full',
+    gameDefaults: {
+      WORDSCAPES: process.env.WORDSCAPES_DICTIONARY,
+      SCRABBLE: process.env.SCRABBLE_DICTIONARY,
+    },
+  });
 } catch (error) {
   console.error('Failed to load dictionary data:', error.message);
   process.exit(1);
 }
 
+let extractionCache;
+try {
+  extractionCache = createExtractionCache();
+} catch (error) {
+  console.error('Failed to set up the extraction cache:', error.message);
+  process.exit(1);
+}
+
+const sessionStore = createSessionStore({ directory: process.env.SESSIONS_DIR || undefined });
+
+function resolveDictionary(name, game) {
+  const dictionary = dictionaryRegistry.get(name, game);
+  if (!dictionary) {
+    return {
+      ok: false,
+      error: {
+        code: 'INVALID_DICTIONARY',
+        message: 'Unknown dictionary.',
+        details: {
+          dictionary: name,
+          available: dictionaryRegistry.list().map((entry) => entry.name),
+        },
+      },
+    };
+  }
+  return { ok: true, dictionary };
+}
+
 app.use(helmet());
 app.use(cors());
+app.use(express.json({ limit: '1mb' }));
 
-app.get('/api/v1/dictionary', (_req, res) => {
-  res.json(dictionaryData);
+app.get('/api/v1/dictionaries', (_req, res) => {
+  res.json({
+    ok: true,
+    defaultDictionary: dictionaryRegistry.defaultName,
+    dictionaries: dictionaryRegistry.list(),
+  });
 });
 
-app.post('/api/v1/board/parse-screenshot', upload.single('image'), async (req, res, next) => {
-  if (!req.file) {
+app.get('/api/v1/prompts', (_req, res) => {
+  res.json({ ok: true, prompts: listPrompts() });
+});
+
+app.get('/api/v1/dictionary', (req, res) => {
+  const rawWords = dictionaryRegistry.getRawWords(req.query.dictionary);
+  if (!rawWords) {
+    return res.status(400).json(resolveDictionary(req.query.dictionary));
+  }
+  return res.json(rawWords);
+});
+
+function sendDictionaryResult(res, query) {
+  const resolved = resolveDictionary(query.dictionary);
+  if (!resolved.ok) {
+    return res.status(400).json(resolved);
+  }
+  const result = query.run(resolved.dictionary);
+  return res.status(result.ok ? 200 : 400).json(result);
+}
+
+app.get('/api/v1/dictionary/prefix/:prefix', (req, res) => {
+  sendDictionaryResult(res, {
+    dictionary: req.query.dictionary,
+    run: (dictionary) => searchPrefix(dictionary, req.params.prefix, req.query),
+  });
+});
+
+app.get('/api/v1/dictionary/pattern/:pattern', (req, res) => {
+  sendDictionaryResult(res, {
+    dictionary: req.query.dictionary,
+    run: (dictionary) => searchPattern(dictionary, req.params.pattern, req.query),
+  });
+});
+
+app.get('/api/v1/dictionary/anagram/:letters', (req, res) => {
+  sendDictionaryResult(res, {
+    dictionary: req.query.dictionary,
+    run: (dictionary) =>
+      searchAnagrams(dictionary, req.params.letters, {
+        ...req.query,
+        sub: isTruthyFlag(req.query.sub),
+      }),
+  });
+});
+
+app.get('/api/v1/dictionary/:word', (req, res) => {
+  sendDictionaryResult(res, {
+    dictionary: req.query.dictionary,
+    run: (dictionary) => lookupWord(dictionary, req.params.word),
+  });
+});
+
+app.post('/api/v1/wordscapes/solve', (req, res) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const boardRaw = body.board && typeof body.board === 'object' ? body.board : body;
+
+  const resolved = resolveDictionary(body.dictionary, 'WORDSCAPES');
+  if (!resolved.ok) {
+    return res.status(400).json(resolved);
+  }
+
+  // Boards with slots use the grid schema; everything else is treated as V4.
+  const parsed = parseBoardPayload(
+    Array.isArray(boardRaw.slots)
+      ? {
+          schema: 'WORDVINDER_BOARD_EXTRACT_V5',
+          game: 'WORDSCAPES',
+          letters: boardRaw.letters,
+          grid: boardRaw.grid,
+          slots: boardRaw.slots,
+          notes: boardRaw.notes,
+        }
+      : {
+          schema: 'WORDVINDER_BOARD_EXTRACT_V4',
+          game: 'WORDSCAPES',
+          letters: boardRaw.letters,
+          missingByLength: boardRaw.missingByLength,
+          wordLists: boardRaw.wordLists,
+          solvedWordsByLength: boardRaw.solvedWordsByLength,
+          notes: boardRaw.notes,
+        },
+  );
+  if (!parsed.ok) {
     return res.status(400).json({
       ok: false,
       error: {
-        code: 'INVALID_IMAGE',
-        message: 'Missing image upload.',
+        code: 'INVALID_BOARD',
+        message: parsed.error.message,
+        details: parsed.error.details,
       },
     });
   }
 
-  if (!ALLOWED_IMAGE_MIME_TYPES.has(req.file.mimetype)) {
+  const consistency = checkWordscapesConsistency(parsed.board);
+  if (!consistency.ok && isTruthyFlag(body.strict)) {
     return res.status(400).json({
+      ok: false,
+      error: inconsistentBoardError(consistency),
+    });
+  }
+
+  return res.json({
+    ok: true,
+    board: parsed.board,
+    summary: buildSummary(parsed.board),
+    consistency,
+    solution: solveWordscapes(parsed.board, resolved.dictionary),
+  });
+});
+
+// Layout and tile-value names for a Scrabble request: the request's own fields,
+// else the variant echoed in a previously parsed board.
+function readEchoedScrabbleOptions(body, boardRaw) {
+  const echoedLayout =
+    boardRaw.board && boardRaw.board.layout ? boardRaw.board.layout.name : undefined;
+  const echoedTileValues = boardRaw.tileValues ? boardRaw.tileValues.name : undefined;
+  return {
+    layout: typeof body.layout === 'string' ? body.layout : echoedLayout,
+    tileValues: typeof body.tileValues === 'string' ? body.tileValues : echoedTileValues,
+  };
+}
+
+// Parses `{ rack, board, notes }` as a Scrabble board with the given variant;
+// the rack comes back enriched with points.
+function readScrabbleBoard(boardRaw, scrabbleOptions) {
+  const parsed = parseBoardPayload(
+    {
+      schema: 'WORDVINDER_SCRABBLE_EXTRACT_V1',
+      game: 'SCRABBLE',
+      rack: boardRaw.rack,
+      board: boardRaw.board,
+      notes: boardRaw.notes,
+    },
+    scrabbleOptions,
+  );
+  if (!parsed.ok) {
+    return {
       ok: false,
       error: {
-        code: 'INVALID_IMAGE',
-        message: 'Unsupported image type.',
-        details: req.file.mimetype,
+        code: 'INVALID_BOARD',
+        message: parsed.error.message,
+        details: parsed.error.details,
       },
-    });
+    };
   }
 
-  try {
-    const query = req.body && typeof req.body.query === 'string' ? req.body.query : undefined;
-    console.log('DIFY_REQUEST_PAYLOAD', {
-      fileName: req.file.originalname || 'screenshot',
-      mimeType: req.file.mimetype,
-      fileSize: req.file.size,
-      query,
-      requestContext: {
-        ip: req.ip,
-        userAgent: req.get('user-agent'),
+  parsed.board.rack = enrichScrabbleRack(parsed.board.rack, parsed.board.tileValues);
+  return parsed;
+}
+
+app.post('/api/v1/scrabble/moves', (req, res) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  // Accept either { rack, board } or a parsed Scrabble board wrapped as { board: { rack, board } }.
+  const isWrapped = typeof body.rack === 'undefined' && body.board && body.board.board;
+  const boardRaw = isWrapped ? body.board : body;
+
+  const scrabbleOptions = resolveScrabbleOptions(readEchoedScrabbleOptions(body, boardRaw));
+  if (!scrabbleOptions.ok) {
+    return res.status(400).json(scrabbleOptions);
+  }
+
+  const resolved = resolveDictionary(body.dictionary, 'SCRABBLE');
+  if (!resolved.ok) {
+    return res.status(400).json(resolved);
+  }
+
+  const parsed = readScrabbleBoard(boardRaw, scrabbleOptions.options);
+  if (!parsed.ok) {
+    return res.status(400).json(parsed);
+  }
+
+  return res.json({
+    ok: true,
+    board: parsed.board,
+    summary: buildSummary(parsed.board),
+    unseenTiles: buildUnseenTiles(parsed.board),
+    solution: generateScrabbleMoves(parsed.board, resolved.dictionary, {
+      limit: parseMoveLimit(body.limit),
+    }),
+  });
+});
+
+app.post('/api/v1/scrabble/rack-words', (req, res) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  // Accept a bare rack or a parsed Scrabble board wrapped as { board: { rack } }.
+  const boardRaw = typeof body.rack === 'undefined' && body.board ? body.board : body;
+
+  const scrabbleOptions = resolveScrabbleOptions(readEchoedScrabbleOptions(body, boardRaw));
+  if (!scrabbleOptions.ok) {
+    return res.status(400).json(scrabbleOptions);
+  }
+  const tileValues = getTileValues(scrabbleOptions.options.tileValues);
+  const { bingoBonus } = getPremiumLayout(scrabbleOptions.options.layout);
+
+  const resolved = resolveDictionary(body.dictionary, 'SCRABBLE');
+  if (!resolved.ok) {
+    return res.status(400).json(resolved);
+  }
+
+  const rack = readRackTiles(boardRaw.rack, tileValues);
+  if (!rack) {
+    return res.status(400).json({
+      ok: false,
+      error: {
+        code: 'INVALID_RACK',
+        message: `Rack must hold 1 to ${SCRABBLE_RACK_SIZE} tiles of A-Z, or _ / ? for a blank.`,
+        details: boardRaw.rack,
       },
     });
+  }
 
-    const { modelText } = await runBoardExtraction({
-      fileBuffer: req.file.buffer,
-      fileName: req.file.originalname || 'screenshot',
-      mimeType: req.file.mimetype,
-      query,
-      requestContext: {
-        ip: req.ip,
-        userAgent: req.get('user-agent'),
+  return res.json({
+    ok: true,
+    rack,
+    tileValues,
+    solution: findRackWords(rack, resolved.dictionary, { tileValues, bingoBonus }),
+  });
+});
+
+function validateImageFile(file) {
+  if (!file) {
+    return {
+      ok: false,
+      error: {
+        code: 'INVALID_IMAGE',
+        message: 'Missing image upload.',
       },
-    });
+    };
+  }
 
-    console.log('DIFY_RESPONSE_MODEL_TEXT', modelText);
+  if (!ALLOWED_IMAGE_MIME_TYPES.has(file.mimetype)) {
+    return {
+      ok: false,
+      error: {
+        code: 'INVALID_IMAGE',
+        message: 'Unsupported image type.',
+        details: file.mimetype,
+      },
+    };
+  }
 
-    const parsed = parseModelOutput(modelText);
-    if (!parsed.ok) {
-      const response = {
-        ok: false,
-        error: parsed.error,
-      };
-      if (process.env.DEBUG_MODEL_OUTPUT === '1' && process.env.NODE_ENV !== 'production') {
-        response.debug = { modelText };
-      }
-      const statusCode = parsed.error.code === 'MODEL_OUTPUT_SUSPICIOUS' ? 200 : 502;
-      return res.status(statusCode).json(response);
+  return { ok: true };
+}
+
+function readScreenshotRequest(req) {
+  const image = validateImageFile(req.file);
+  if (!image.ok) {
+    return image;
+  }
+  return readScreenshotOptions(req.body);
+}
+
+// A pinned prompt must exist, produce a board schema the parser knows, agree
+// with an explicitly requested game, and be sent to the model by the provider.
+function checkPinnedPrompt(promptId, requestedGame) {
+  const prompt = getPrompt(promptId);
+  if (!prompt) {
+    return {
+      code: 'INVALID_PROMPT',
+      message: 'Unknown prompt.',
+      details: { prompt: promptId, available: listPrompts().map((entry) => entry.id) },
+    };
+  }
+  if (!prompt.parseable) {
+    return {
+      code: 'INVALID_PROMPT',
+      message: 'This prompt produces a schema the server cannot parse.',
+      details: { prompt: prompt.id, schema: prompt.schema },
+    };
+  }
+  if (requestedGame && requestedGame !== 'AUTO' && requestedGame !== prompt.game) {
+    return {
+      code: 'INVALID_PROMPT',
+      message: 'The prompt is for a different game.',
+      details: { prompt: prompt.id, promptGame: prompt.game, game: requestedGame },
+    };
+  }
+  if (!canPinPrompts()) {
+    return {
+      code: 'INVALID_PROMPT',
+      message:
+        'The extraction provider does not send prompts to the model, so a pinned prompt cannot be honored.',
+      details: { prompt: prompt.id, provider: getProviderName() },
+    };
+  }
+  return null;
+}
+
+// Form fields shared by the screenshot routes, validated before any model work.
+function readScreenshotOptions(rawBody) {
+  const body = rawBody || {};
+  const scrabbleOptions = resolveScrabbleOptions({
+    layout: typeof body.layout === 'string' ? body.layout : undefined,
+    tileValues: typeof body.tileValues === 'string' ? body.tileValues : undefined,
+  });
+  if (!scrabbleOptions.ok) {
+    return scrabbleOptions;
+  }
+
+  const dictionaryName = typeof body.dictionary === 'string' ? body.dictionary : undefined;
+  if (dictionaryName && !dictionaryRegistry.has(dictionaryName)) {
+    return resolveDictionary(dictionaryName);
+  }
+
+  const game = typeof body.game === 'string' && body.game.trim() ? body.game : undefined;
+  if (game && !normalizeGameMode(game)) {
+    return {
+      ok: false,
+      error: {
+        code: 'INVALID_GAME',
+        message: 'Unknown game.',
+        details: { game, available: ['AUTO', 'WORDSCAPES', 'SCRABBLE'] },
+      },
+    };
+  }
+
+  const promptId = typeof body.prompt === 'string' && body.prompt.trim() ? body.prompt : undefined;
+  if (promptId) {
+    const promptError = checkPinnedPrompt(promptId, normalizeGameMode(game));
+    if (promptError) {
+      return { ok: false, error: promptError };
     }
+  }
 
-    const isScrabble =
-      parsed.board.schema === 'WORDVINDER_SCRABBLE_EXTRACT_V1' && parsed.board.game === 'SCRABBLE';
+  return {
+    ok: true,
+    scrabbleOptions: scrabbleOptions.options,
+    dictionaryName,
+    promptId,
+    query: typeof body.query === 'string' ? body.query : undefined,
+    game: normalizeGameMode(game) || getDefaultGameMode(),
+    shouldSolve: isTruthyFlag(body.solve),
+    isStrict: isTruthyFlag(body.strict),
+    noCache: isTruthyFlag(body.noCache),
+    cropStatusBar: isTruthyFlag(body.cropStatusBar),
+    limit: body.limit,
+  };
+}
 
-    if (isScrabble) {
-      const rawPayload = parsed.rawPayload;
-      const rawRack = rawPayload && typeof rawPayload === 'object' ? rawPayload.rack : parsed.board.rack;
+function withModelTextDebug(response, modelText) {
+  if (
+    typeof modelText === 'string' &&
+    process.env.DEBUG_MODEL_OUTPUT === '1' &&
+    process.env.NODE_ENV !== 'production'
+  ) {
+    response.debug = { modelText };
+  }
+  return response;
+}
 
-      console.log('[scrabble] raw dify payload:', rawPayload);
-      console.log('[scrabble] about to enrich rack:', rawRack);
+// Reports which prompt ran and whether the board came back in the schema that
+// prompt asks for, so schema errors can be traced to the prompt version.
+function describePromptResult(prompt, schema) {
+  if (!prompt) {
+    return undefined;
+  }
+  return { ...prompt, receivedSchema: schema, schemaMatches: schema === prompt.schema };
+}
 
-      const enrichedRack = enrichScrabbleRack(rawRack);
+function readModelSchema(modelText) {
+  const match = typeof modelText === 'string' ? modelText.match(/"schema"\s*:\s*"([^"]+)"/) : null;
+  return match ? match[1] : null;
+}
 
-      console.log('[scrabble] enriched rack:', enrichedRack);
-      parsed.board.rack = enrichedRack;
+// Turns model text into a board, or the error response (and status) to send.
+function parseExtractedBoard(modelText, screenshot, prompt) {
+  const parsed = parseModelOutput(modelText, screenshot.scrabbleOptions);
+  if (!parsed.ok) {
+    const response = { ok: false, error: parsed.error };
+    if (parsed.recovery) {
+      response.recovery = parsed.recovery;
     }
+    if (prompt) {
+      response.prompt = describePromptResult(prompt, readModelSchema(modelText));
+    }
+    return {
+      ok: false,
+      statusCode: parsed.error.code === 'MODEL_OUTPUT_SUSPICIOUS' ? 200 : 502,
+      response: withModelTextDebug(response, modelText),
+    };
+  }
 
-    const summary = buildSummary(parsed.board);
-    const response = {
-      ok: true,
+  return {
+    ok: true,
+    board: enrichParsedBoard(parsed),
+    recovery: parsed.recovery,
+    prompt: describePromptResult(prompt, parsed.board.schema),
+  };
+}
+
+function enrichParsedBoard(parsed) {
+  if (parsed.board.schema === 'WORDVINDER_SCRABBLE_EXTRACT_V1') {
+    const rawPayload = parsed.rawPayload;
+    const rawRack = rawPayload && typeof rawPayload === 'object' ? rawPayload.rack : parsed.board.rack;
+
+    console.log('[scrabble] raw dify payload:', rawPayload);
+    console.log('[scrabble] about to enrich rack:', rawRack);
+
+    const enrichedRack = enrichScrabbleRack(rawRack, parsed.board.tileValues);
+
+    console.log('[scrabble] enriched rack:', enrichedRack);
+    parsed.board.rack = enrichedRack;
+  }
+
+  return parsed.board;
+}
+
+function requestContextFor(req) {
+  return {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  };
+}
+
+// Runs the extraction, or reuses the board cached for the same image, query and
+// Scrabble options. Only boards that parsed are cached. `upload` is
+// `{ file, requestContext }`: one multer file and who sent it.
+async function loadScreenshotBoard(upload, screenshot, onProgress) {
+  const { layout, tileValues } = screenshot.scrabbleOptions;
+  const cacheKey = extractionCache
+    ? buildCacheKey({
+        fileBuffer: upload.file.buffer,
+        query: screenshot.query,
+        variant: [
+          screenshot.promptId ? getPrompt(screenshot.promptId).id : screenshot.game,
+          getPremiumLayout(layout).name,
+          getTileValues(tileValues).name,
+          screenshot.cropStatusBar ? 'crop' : 'full',
+        ].join(':'),
+      })
+    : null;
+
+  if (cacheKey && !screenshot.noCache) {
+    const entry = extractionCache.get(cacheKey);
+    if (entry) {
+      const { provider, modelText, board, detection, preprocessing, recovery, prompt } =
+        entry.value;
+      return {
+        ok: true,
+        provider,
+        modelText,
+        board,
+        detection,
+        preprocessing,
+        recovery,
+        prompt,
+        cache: { hit: true, storedAt: new Date(entry.storedAt).toISOString() },
+      };
+    }
+  }
+
+  const { modelText, provider, detection, preprocessing, prompt } = await extractScreenshot(
+    upload,
+    screenshot,
+    onProgress,
+  );
+
+  console.log('EXTRACTION_RESPONSE_MODEL_TEXT', { provider, prompt, modelText });
+
+  const parsed = parseExtractedBoard(modelText, screenshot, prompt);
+  if (!parsed.ok) {
+    return parsed;
+  }
+
+  if (cacheKey) {
+    extractionCache.set(cacheKey, {
+      provider,
+      modelText,
       board: parsed.board,
-      summary,
+      detection,
+      preprocessing,
+      recovery: parsed.recovery,
+      prompt: parsed.prompt,
+    });
+  }
+
+  return {
+    ok: true,
+    provider,
+    modelText,
+    board: parsed.board,
+    detection,
+    preprocessing,
+    recovery: parsed.recovery,
+    prompt: parsed.prompt,
+    cache: { hit: false },
+  };
+}
+
+function checkExtractedBoard(loaded, screenshot) {
+  const { board, modelText } = loaded;
+  const isScrabble = board.schema === 'WORDVINDER_SCRABBLE_EXTRACT_V1' && board.game === 'SCRABBLE';
+
+  const consistency = isScrabble ? undefined : checkWordscapesConsistency(board);
+  if (consistency && !consistency.ok && screenshot.isStrict) {
+    return {
+      ok: false,
+      statusCode: 502,
+      response: withModelTextDebug(
+        { ok: false, error: inconsistentBoardError(consistency) },
+        modelText,
+      ),
     };
+  }
 
-    if (process.env.DEBUG_MODEL_OUTPUT === '1' && process.env.NODE_ENV !== 'production') {
-      response.debug = { modelText };
-    }
+  return { ok: true, ...loaded, consistency, isScrabble };
+}
+
+function buildScreenshotResponse(extracted, screenshot) {
+  const { board, modelText, consistency, isScrabble } = extracted;
+  const { dictionary } = resolveDictionary(screenshot.dictionaryName, board.game);
+  const response = {
+    ok: true,
+    board,
+    summary: buildSummary(board),
+    validation: validateBoardWords(board, dictionary),
+  };
+
+  if (consistency) {
+    response.consistency = consistency;
+  }
+  if (isScrabble) {
+    response.unseenTiles = buildUnseenTiles(board);
+    response.analysis = analyzeScrabbleBoard(board, response.validation);
+  }
+
+  if (screenshot.shouldSolve) {
+    response.solution = isScrabble
+      ? generateScrabbleMoves(board, dictionary, { limit: parseMoveLimit(screenshot.limit) })
+      : solveWordscapes(board, dictionary);
+  }
+
+  if (extracted.recovery) {
+    response.recovery = extracted.recovery;
+  }
+  if (extracted.prompt) {
+    response.prompt = extracted.prompt;
+  }
+  response.detection = extracted.detection;
+  response.preprocessing = extracted.preprocessing;
+  response.cache = extracted.cache;
+  withModelTextDebug(response, modelText);
+
+  if (isScrabble) {
+    console.log('[scrabble] final response payload:', response);
+  }
+  console.log('API_RESPONSE_PAYLOAD', response);
+
+  return response;
+}
+
+function extractionErrorResponse(err) {
+  return {
+    ok: false,
+    error: {
+      code: err.code,
+      message: err.message || 'Failed to process image.',
+      details: err.details,
+    },
+  };
+}
+
+function withImageExtension(fileName, mimeType) {
+  const extension = mimeType.split('/')[1].replace('jpeg', 'jpg');
+  return `${path.parse(fileName).name}.${extension}`;
+}
+
+async function extractScreenshot({ file, requestContext }, screenshot, onProgress) {
+  const image = await preprocessImage(file.buffer, {
+    mimeType: file.mimetype,
+    cropStatusBar: screenshot.cropStatusBar,
+  });
+  if (onProgress) {
+    onProgress('preprocessed', image.report);
+  }
+
+  const fileName = withImageExtension(file.originalname || 'screenshot', image.mimeType);
+  console.log('EXTRACTION_REQUEST_PAYLOAD', {
+    fileName,
+    mimeType: image.mimeType,
+    fileSize: image.buffer.length,
+    preprocessing: image.report.applied,
+    query: screenshot.query,
+    game: screenshot.game,
+    prompt: screenshot.promptId,
+    requestContext,
+  });
+
+  const result = await runBoardExtraction({
+    fileBuffer: image.buffer,
+    fileName,
+    mimeType: image.mimeType,
+    query: screenshot.query,
+    game: screenshot.game,
+    promptId: screenshot.promptId,
+    requestContext,
+    onProgress,
+  });
+  return { ...result, preprocessing: image.report };
+}
 
-    if (isScrabble) {
-      console.log('[scrabble] final response payload:', response);
+// Runs one upload through extraction, parsing and enrichment. Known failures
+// become error responses with their status code; anything else is thrown.
+async function parseScreenshotUpload(upload, screenshot) {
+  try {
+    const loaded = await loadScreenshotBoard(upload, screenshot);
+    const extracted = loaded.ok ? checkExtractedBoard(loaded, screenshot) : loaded;
+    if (!extracted.ok) {
+      return { statusCode: extracted.statusCode, response: extracted.response };
     }
-    console.log('API_RESPONSE_PAYLOAD', response);
 
-    return res.json(response);
+    return { statusCode: 200, response: buildScreenshotResponse(extracted, screenshot) };
   } catch (err) {
     console.error('[parse-screenshot] ERROR:', err?.stack || err);
-    if (err && err.code === 'DIFY_ERROR') {
-      const response = {
-        ok: false,
-        error: {
-          code: err.code,
-          message: err.message || 'Failed to process image.',
-          details: err.details,
-        },
+    if (err && err.code === 'INVALID_IMAGE') {
+      return { statusCode: 400, response: extractionErrorResponse(err) };
+    }
+    if (err && PROVIDER_ERROR_CODES.has(err.code)) {
+      return {
+        statusCode: err.code === 'DIFY_UNAVAILABLE' ? 503 : 502,
+        response: extractionErrorResponse(err),
       };
+    }
+    throw err;
+  }
+}
+
+app.post('/api/v1/board/parse-screenshot', upload.single('image'), async (req, res, next) => {
+  const screenshot = readScreenshotRequest(req);
+  if (!screenshot.ok) {
+    return res.status(400).json(screenshot);
+  }
+
+  try {
+    const { statusCode, response } = await parseScreenshotUpload(
+      { file: req.file, requestContext: requestContextFor(req) },
+      screenshot,
+    );
+    return res.status(statusCode).json(response);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+function getBatchConcurrency() {
+  const value = Number(process.env.BATCH_CONCURRENCY);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_BATCH_CONCURRENCY;
+}
+
+// Parses every `image` part with the same options. Each result carries its own
+// ok/error, so one bad image does not fail the batch.
+app.post(
+  '/api/v1/board/parse-screenshots',
+  upload.array('image', MAX_BATCH_IMAGES),
+  async (req, res) => {
+    const files = Array.isArray(req.files) ? req.files : [];
+    if (files.length === 0) {
+      return res.status(400).json(validateImageFile(null));
+    }
+
+    const screenshot = readScreenshotOptions(req.body);
+    if (!screenshot.ok) {
+      return res.status(400).json(screenshot);
+    }
+
+    const requestContext = requestContextFor(req);
+    const results = await mapWithConcurrency(files, getBatchConcurrency(), async (file, index) => {
+      const fileName = file.originalname || null;
+      const image = validateImageFile(file);
+      if (!image.ok) {
+        return { index, fileName, ...image };
+      }
+
+      try {
+        const { response } = await parseScreenshotUpload({ file, requestContext }, screenshot);
+        return { index, fileName, ...response };
+      } catch (err) {
+        return {
+          index,
+          fileName,
+          ok: false,
+          error: { code: 'SERVER_ERROR', message: 'Unexpected server error' },
+        };
+      }
+    });
+
+    const okCount = results.filter((result) => result.ok).length;
+    return res.json({
+      ok: true,
+      total: results.length,
+      okCount,
+      errorCount: results.length - okCount,
+      results,
+    });
+  },
+);
+
+// Same pipeline as parse-screenshot, reported as Server-Sent Events:
+// preprocessed, detected, uploaded, model_started, tokens, parsed, then board (the full response) or
+// a terminal error event with { code, message, details }.
+app.post('/api/v1/board/parse-screenshot/stream', upload.single('image'), async (req, res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  function sendEvent(event, data) {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  }
+
+  function sendError(error) {
+    sendEvent('error', error);
+    res.end();
+  }
+
+  const screenshot = readScreenshotRequest(req);
+  if (!screenshot.ok) {
+    return sendError(screenshot.error);
+  }
+
+  try {
+    const loaded = await loadScreenshotBoard(
+      { file: req.file, requestContext: requestContextFor(req) },
+      screenshot,
+      sendEvent,
+    );
+    const extracted = loaded.ok ? checkExtractedBoard(loaded, screenshot) : loaded;
+    if (!extracted.ok) {
+      return sendError(extracted.response.error);
+    }
+    sendEvent('parsed', {
+      schema: extracted.board.schema,
+      game: extracted.board.game,
+      cached: extracted.cache.hit,
+    });
 
-      return res.status(502).json(response);
+    sendEvent('board', buildScreenshotResponse(extracted, screenshot));
+    return res.end();
+  } catch (err) {
+    console.error('[parse-screenshot/stream] ERROR:', err?.stack || err);
+    if (err && (err.code === 'INVALID_IMAGE' || PROVIDER_ERROR_CODES.has(err.code))) {
+      return sendError(extractionErrorResponse(err).error);
+    }
+    return sendError({ code: 'SERVER_ERROR', message: 'Unexpected server error' });
+  }
+});
+
+// Keeps only the fields each schema defines, so boards echoed from earlier
+// responses (with letterCounts, tileValues, solved slots, ...) can be sent back.
+function pickBoardPayload(boardRaw) {
+  const { schema, game } = boardRaw;
+  if (schema === 'WORDVINDER_SCRABBLE_EXTRACT_V1') {
+    return { schema, game, rack: boardRaw.rack, board: boardRaw.board, notes: boardRaw.notes };
+  }
+  if (schema === 'WORDVINDER_BOARD_EXTRACT_V5') {
+    return {
+      schema,
+      game,
+      letters: boardRaw.letters,
+      grid: boardRaw.grid,
+      slots: boardRaw.slots,
+      notes: boardRaw.notes,
+    };
+  }
+  if (schema === 'WORDVINDER_BOARD_EXTRACT_V4') {
+    return {
+      schema,
+      game,
+      letters: boardRaw.letters,
+      missingByLength: boardRaw.missingByLength,
+      wordLists: boardRaw.wordLists,
+      solvedWordsByLength: boardRaw.solvedWordsByLength,
+      notes: boardRaw.notes,
+    };
+  }
+  return boardRaw;
+}
+
+// Accepts a board the user typed or corrected and answers with exactly what
+// parse-screenshot would have returned for it.
+app.post('/api/v1/board/normalize', (req, res) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  // Accept the board itself or wrapped as { board: {...}, solve, layout, ... }.
+  const isWrapped = body.board && typeof body.board.schema === 'string';
+  const boardRaw = isWrapped ? body.board : body;
+
+  // Only the options that apply to a board already read; `prompt`, `query` and
+  // `game` belong to the extraction and are ignored here.
+  const options = readScreenshotOptions({
+    solve: body.solve,
+    strict: body.strict,
+    limit: body.limit,
+    dictionary: body.dictionary,
+    ...readEchoedScrabbleOptions(body, boardRaw),
+  });
+  if (!options.ok) {
+    return res.status(400).json(options);
+  }
+
+  const parsed = parseBoardPayload(pickBoardPayload(boardRaw), options.scrabbleOptions);
+  if (!parsed.ok) {
+    return res.status(400).json({
+      ok: false,
+      error: {
+        code: 'INVALID_BOARD',
+        message: parsed.error.message,
+        details: parsed.error.details,
+      },
+    });
+  }
+
+  const checked = checkExtractedBoard({ board: enrichParsedBoard(parsed) }, options);
+  if (!checked.ok) {
+    return res.status(400).json(checked.response);
+  }
+
+  return res.json(buildScreenshotResponse(checked, options));
+});
+
+function sessionNotFound(id) {
+  return {
+    ok: false,
+    error: { code: 'SESSION_NOT_FOUND', message: 'Unknown session.', details: { session: id } },
+  };
+}
+
+// Scores turns with the variant the session was created with.
+function resolveSessionScoring(session, dictionaryName) {
+  const scrabbleOptions = resolveScrabbleOptions({
+    layout: session.layout,
+    tileValues: session.tileValues,
+  });
+  if (!scrabbleOptions.ok) {
+    return scrabbleOptions;
+  }
+  const resolved = resolveDictionary(dictionaryName || session.dictionary || undefined, 'SCRABBLE');
+  if (!resolved.ok) {
+    return resolved;
+  }
+  const layout = getPremiumLayout(session.layout);
+  return {
+    ok: true,
+    scrabbleOptions: scrabbleOptions.options,
+    scoring: {
+      squares: layout.squares,
+      bingoBonus: layout.bingoBonus,
+      tileValues: getTileValues(session.tileValues),
+      dictionary: resolved.dictionary,
+    },
+  };
+}
+
+// Reloads the session right before recording so the read, update and write
+// happen without yielding; turns posted at the same time cannot overwrite each other.
+function saveTurn(sessionId, board, { player, source, scoring }) {
+  const session = sessionStore.get(sessionId);
+  if (!session) {
+    return { statusCode: 404, response: sessionNotFound(sessionId) };
+  }
+  const recorded = recordTurn(session, board, { player, source, scoring });
+  if (!recorded.ok) {
+    return { statusCode: recorded.error.code === 'BOARD_MISMATCH' ? 409 : 400, response: recorded };
+  }
+  sessionStore.save(session);
+  return {
+    statusCode: 200,
+    response: { ok: true, turn: recorded.turn, scores: describeScores(session) },
+  };
+}
+
+// Session screenshots are always read as Scrabble, so a game token in the
+// query is replaced rather than trusted.
+function readSessionQuery(rawQuery) {
+  if (typeof rawQuery !== 'string') {
+    return undefined;
+  }
+  const command = rawQuery.replace(/\b(WORDSCAPES|SCRABBLE)\b/gi, ' ').trim();
+  return command ? `SCRABBLE ${command}` : undefined;
+}
+
+app.post('/api/v1/sessions', (req, res) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const scrabbleOptions = resolveScrabbleOptions({
+    layout: typeof body.layout === 'string' ? body.layout : undefined,
+    tileValues: typeof body.tileValues === 'string' ? body.tileValues : undefined,
+  });
+  if (!scrabbleOptions.ok) {
+    return res.status(400).json(scrabbleOptions);
+  }
+  const dictionaryName = typeof body.dictionary === 'string' ? body.dictionary : undefined;
+  if (dictionaryName && !dictionaryRegistry.has(dictionaryName)) {
+    return res.status(400).json(resolveDictionary(dictionaryName));
+  }
+
+  // An optional starting position, for games that are already under way.
+  let startingBoard;
+  if (body.board) {
+    const boardRaw = body.board.board ? body.board : body;
+    const parsed = readScrabbleBoard({ ...boardRaw, rack: [] }, scrabbleOptions.options);
+    if (!parsed.ok) {
+      return res.status(400).json(parsed);
     }
+    startingBoard = parsed.board.board;
+  }
+
+  const created = createGame({
+    id: sessionStore.newId(),
+    players: body.players,
+    variant: {
+      layout: getPremiumLayout(scrabbleOptions.options.layout).name,
+      tileValues: getTileValues(scrabbleOptions.options.tileValues).name,
+    },
+    dictionary: dictionaryName,
+    board: startingBoard,
+  });
+  if (!created.ok) {
+    return res.status(400).json(created);
+  }
+
+  sessionStore.save(created.session);
+  return res.status(201).json({ ok: true, session: created.session });
+});
+
+app.get('/api/v1/sessions/:id', (req, res) => {
+  const session = sessionStore.get(req.params.id);
+  if (!session) {
+    return res.status(404).json(sessionNotFound(req.params.id));
+  }
+  return res.json({ ok: true, session, scores: describeScores(session) });
+});
+
+app.post('/api/v1/sessions/:id/boards', (req, res) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const session = sessionStore.get(req.params.id);
+  if (!session) {
+    return res.status(404).json(sessionNotFound(req.params.id));
+  }
+  const resolved = resolveSessionScoring(session, body.dictionary);
+  if (!resolved.ok) {
+    return res.status(400).json(resolved);
+  }
+
+  // Accept { board: { size, tiles, blanks } } or a parsed Scrabble board under `board`.
+  const boardRaw = body.board && body.board.board ? body.board : body;
+  const parsed = readScrabbleBoard(
+    { ...boardRaw, rack: boardRaw.rack || [] },
+    resolved.scrabbleOptions,
+  );
+  if (!parsed.ok) {
+    return res.status(400).json(parsed);
+  }
+
+  const { statusCode, response } = saveTurn(req.params.id, parsed.board, {
+    player: body.player,
+    source: 'board',
+    scoring: resolved.scoring,
+  });
+  return res.status(statusCode).json(response);
+});
+
+// Parses the screenshot like parse-screenshot (always as Scrabble, with the
+// session's variant) and records the board it shows as the next turn.
+app.post('/api/v1/sessions/:id/screenshots', upload.single('image'), async (req, res, next) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const session = sessionStore.get(req.params.id);
+  if (!session) {
+    return res.status(404).json(sessionNotFound(req.params.id));
+  }
+  const resolved = resolveSessionScoring(session, body.dictionary);
+  if (!resolved.ok) {
+    return res.status(400).json(resolved);
+  }
+
+  const image = validateImageFile(req.file);
+  if (!image.ok) {
+    return res.status(400).json(image);
+  }
+  const screenshot = readScreenshotOptions({
+    ...body,
+    game: 'SCRABBLE',
+    query: readSessionQuery(body.query),
+    layout: session.layout,
+    tileValues: session.tileValues,
+    dictionary: body.dictionary || session.dictionary || undefined,
+  });
+  if (!screenshot.ok) {
+    return res.status(400).json(screenshot);
+  }
+
+  let parsed;
+  try {
+    parsed = await parseScreenshotUpload(
+      { file: req.file, requestContext: requestContextFor(req) },
+      screenshot,
+    );
+  } catch (err) {
     return next(err);
   }
+  if (!parsed.response.ok) {
+    return res.status(parsed.statusCode).json(parsed.response);
+  }
+  const { game } = parsed.response.board;
+  if (game !== 'SCRABBLE') {
+    return res.status(400).json({
+      ok: false,
+      error: {
+        code: 'UNSUPPORTED_GAME',
+        message: `Sessions track Scrabble games; the screenshot was read as ${game}.`,
+        details: { game },
+      },
+    });
+  }
+
+  const { statusCode, response } = saveTurn(req.params.id, parsed.response.board, {
+    player: body.player,
+    source: 'screenshot',
+    scoring: resolved.scoring,
+  });
+  return res
+    .status(statusCode)
+    .json(statusCode === 200 ? { ...parsed.response, ...response } : response);
 });
 
 app.post('/api/v1/dify/ping', async (req, res) => {
@@ -228,13 +1295,16 @@ app.post('/api/v1/dify/ping', async (req, res) => {
       },
     };
 
-    return res.status(502).json(response);
+    return res.status(err.code === 'DIFY_UNAVAILABLE' ? 503 : 502).json(response);
   }
 });
 
-app.use((err, _req, res, _next) => {
-  console.error('[parse-screenshot] ERROR:', err?.stack || err);
+// Body-parser errors (malformed or oversized JSON) carry a 4xx `status`; those
+// are the client's fault and only real faults become SERVER_ERROR.
+app.use((err, req, res, _next) => {
+  const route = `[${req.method} ${req.path}]`;
   if (err instanceof multer.MulterError) {
+    console.warn(`${route} rejected upload:`, err.message);
     const isFileSize = err.code === 'LIMIT_FILE_SIZE';
     return res.status(isFileSize ? 413 : 400).json({
       ok: false,
@@ -245,6 +1315,19 @@ app.use((err, _req, res, _next) => {
     });
   }
 
+  const status = err && (err.status || err.statusCode);
+  if (Number.isInteger(status) && status >= 400 && status < 500) {
+    console.warn(`${route} rejected request:`, err.message);
+    let message = 'Invalid request';
+    if (err.type === 'entity.parse.failed') {
+      message = 'Request body must be a JSON object or array.';
+    } else if (err.type === 'entity.too.large') {
+      message = 'Request body is too large.';
+    }
+    return res.status(status).json({ ok: false, error: { code: 'INVALID_REQUEST', message } });
+  }
+
+  console.error(`${route} ERROR:`, err?.stack || err);
   return res.status(500).json({
     ok: false,
     error: {
@@ -258,7 +1341,12 @@ process.on('unhandledRejection', (error) => {
   console.error('Unhandled promise rejection:', error);
 });
 
-app.listen(PORT, () => {
-  console.log(`Word Vinder API listening on http://localhost:${PORT}`);
-  console.log(`Full dictionary at http://localhost:${PORT}/api/v1/dictionary`);
-});
+// Tests load the app without binding a port.
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Word Vinder API listening on http://localhost:${PORT}`);
+    console.log(`Dictionaries at http://localhost:${PORT}/api/v1/dictionaries`);
+  });
+}
+
+module.exports = app;
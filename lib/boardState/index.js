@@ -1,18 +1,20 @@
 const { stripCodeFences, isPlainObject } = require('./utils');
 const { parseWordscapes, buildWordscapesSummary } = require('./wordscapes');
-const { parseScrabble, buildScrabbleSummary } = require('./scrabble');
+const { parseWordscapesGrid } = require('./wordscapesGrid');
+const { parseScrabble, buildScrabbleSummary, buildUnseenTiles } = require('./scrabble');
+const { validateBoardWords } = require('./validation');
+const { checkWordscapesConsistency } = require('./wordscapesConsistency');
+const { analyzeScrabbleBoard } = require('./scrabbleAnalysis');
+const { recoverJson } = require('./jsonRecovery');
 
-function parseModelOutput(modelText) {
-  if (typeof modelText !== 'string') {
-    return {
-      ok: false,
-      error: {
-        code: 'MODEL_OUTPUT_NOT_JSON',
-        message: 'Model output is not text.',
-      },
-    };
-  }
+// Board schemas parseBoardPayload understands, for callers that check up front.
+const SUPPORTED_BOARD_SCHEMAS = [
+  'WORDVINDER_BOARD_EXTRACT_V4',
+  'WORDVINDER_BOARD_EXTRACT_V5',
+  'WORDVINDER_SCRABBLE_EXTRACT_V1',
+];
 
+function parseStrictJson(modelText) {
   const normalizedText = stripCodeFences(modelText);
   if (!normalizedText.startsWith('{') || !normalizedText.endsWith('}')) {
     return {
@@ -24,9 +26,8 @@ function parseModelOutput(modelText) {
     };
   }
 
-  let parsed;
   try {
-    parsed = JSON.parse(normalizedText);
+    return { ok: true, value: JSON.parse(normalizedText) };
   } catch (error) {
     return {
       ok: false,
@@ -37,7 +38,49 @@ function parseModelOutput(modelText) {
       },
     };
   }
+}
+
+// Strict JSON first; when that fails, recoverJson tries to salvage the object.
+// Recovered boards list the repairs in `notes`, and the result keeps the strict
+// error under `recovery` for debugging. `options.recover === false` turns
+// recovery off.
+function parseModelOutput(modelText, options = {}) {
+  if (typeof modelText !== 'string') {
+    return {
+      ok: false,
+      error: {
+        code: 'MODEL_OUTPUT_NOT_JSON',
+        message: 'Model output is not text.',
+      },
+    };
+  }
 
+  const strict = parseStrictJson(modelText);
+  if (strict.ok) {
+    return parseBoardPayload(strict.value, options);
+  }
+  if (options.recover === false) {
+    return strict;
+  }
+
+  const recovered = recoverJson(modelText);
+  if (!recovered.ok) {
+    return strict;
+  }
+
+  const result = parseBoardPayload(recovered.value, options);
+  const recovery = { repairs: recovered.repairs, strictError: strict.error };
+  if (!result.ok) {
+    return { ...result, recovery };
+  }
+  result.board.notes = [
+    ...result.board.notes,
+    ...recovered.repairs.map((repair) => `Output recovery: ${repair}`),
+  ];
+  return { ...result, recovery };
+}
+
+function parseBoardPayload(parsed, options = {}) {
   if (!isPlainObject(parsed)) {
     return {
       ok: false,
@@ -66,8 +109,16 @@ function parseModelOutput(modelText) {
     return result;
   }
 
+  if (parsed.schema === 'WORDVINDER_BOARD_EXTRACT_V5' && parsed.game === 'WORDSCAPES') {
+    const result = parseWordscapesGrid(parsed);
+    if (result.ok) {
+      return { ...result, rawPayload: parsed };
+    }
+    return result;
+  }
+
   if (parsed.schema === 'WORDVINDER_SCRABBLE_EXTRACT_V1' && parsed.game === 'SCRABBLE') {
-    const result = parseScrabble(parsed);
+    const result = parseScrabble(parsed, options);
     if (result.ok) {
       return { ...result, rawPayload: parsed };
     }
@@ -91,6 +142,12 @@ function buildSummary(board) {
 }
 
 module.exports = {
+  SUPPORTED_BOARD_SCHEMAS,
   parseModelOutput,
+  parseBoardPayload,
   buildSummary,
+  buildUnseenTiles,
+  validateBoardWords,
+  checkWordscapesConsistency,
+  analyzeScrabbleBoard,
 };
@@ -0,0 +1,121 @@
+const CURLY_QUOTES = /[“”„‟]/g;
+
+// Spans of balanced top-level `{...}` objects, skipping braces inside strings.
+function findObjectSpans(text) {
+  const spans = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = depth > 0;
+    } else if (char === '{') {
+      if (depth === 0) {
+        start = index;
+      }
+      depth += 1;
+    } else if (char === '}' && depth > 0) {
+      depth -= 1;
+      if (depth === 0) {
+        spans.push({ start, end: index + 1 });
+      }
+    }
+  }
+
+  return spans;
+}
+
+// Drops commas that directly precede `}` or `]`, leaving string contents alone.
+function removeTrailingCommas(text) {
+  let result = '';
+  let inString = false;
+  let escaped = false;
+  let removed = 0;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (inString) {
+      result += char;
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === ',' && /^\s*[}\]]/.test(text.slice(index + 1))) {
+      removed += 1;
+      continue;
+    }
+    result += char;
+  }
+
+  return { text: result, removed };
+}
+
+// Best-effort recovery for model output that is almost JSON: a fenced block
+// with text around it, prose before or after the object, curly quotes or
+// trailing commas. `repairs` describes every change, in order.
+function recoverJson(rawText) {
+  const repairs = [];
+  let text = rawText.trim();
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/i);
+  if (fenced && fenced[0] !== text) {
+    text = fenced[1];
+    repairs.push('Used the JSON inside a code fence and ignored the text around it.');
+  }
+
+  const straightened = text.replace(CURLY_QUOTES, '"');
+  if (straightened !== text) {
+    text = straightened;
+    repairs.push('Replaced curly quotes with straight quotes.');
+  }
+
+  const spans = findObjectSpans(text);
+  if (spans.length === 0) {
+    return { ok: false, repairs };
+  }
+  const largest = spans.reduce((best, span) =>
+    span.end - span.start > best.end - best.start ? span : best,
+  );
+  if (text.slice(0, largest.start).trim() || text.slice(largest.end).trim()) {
+    repairs.push('Ignored text outside the largest JSON object.');
+  }
+  text = text.slice(largest.start, largest.end);
+
+  const withoutCommas = removeTrailingCommas(text);
+  if (withoutCommas.removed > 0) {
+    text = withoutCommas.text;
+    repairs.push(`Removed ${withoutCommas.removed} trailing comma(s).`);
+  }
+
+  try {
+    return { ok: true, value: JSON.parse(text), repairs };
+  } catch (error) {
+    return { ok: false, repairs, details: error.message };
+  }
+}
+
+module.exports = {
+  recoverJson,
+};
@@ -0,0 +1,114 @@
+// Layout rows use: T = triple word, D = double word, t = triple letter,
+// d = double letter, . = plain square. The center star is tracked separately
+// because only some variants give it a multiplier. `bingoBonus` is paid for
+// playing all seven rack tiles in one move.
+const LAYOUT_DEFINITIONS = {
+  SCRABBLE: {
+    centerPremium: 'DW',
+    bingoBonus: 50,
+    rows: [
+      'T..d...T...d..T',
+      '.D...t...t...D.',
+      '..D...d.d...D..',
+      'd..D...d...D..d',
+      '....D.....D....',
+      '.t...t...t...t.',
+      '..d...d.d...d..',
+      'T..d.......d..T',
+      '..d...d.d...d..',
+      '.t...t...t...t.',
+      '....D.....D....',
+      'd..D...d...D..d',
+      '..D...d.d...D..',
+      '.D...t...t...D.',
+      'T..d...T...d..T',
+    ],
+  },
+  WWF: {
+    centerPremium: null,
+    bingoBonus: 35,
+    rows: [
+      '...T..t.t..T...',
+      '..d..D...D..d..',
+      '.d..d.....d..d.',
+      'T..t...D...t..T',
+      '..d...d.d...d..',
+      '.D...t...t...D.',
+      't...d.....d...t',
+      '...D.......D...',
+      't...d.....d...t',
+      '.D...t...t...D.',
+      '..d...d.d...d..',
+      'T..t...D...t..T',
+      '.d..d.....d..d.',
+      '..d..D...D..d..',
+      '...T..t.t..T...',
+    ],
+  },
+};
+
+const DEFAULT_LAYOUT = 'SCRABBLE';
+const CENTER = Object.freeze({ row: 7, col: 7 });
+
+const SQUARE_CODES = {
+  T: 'TW',
+  D: 'DW',
+  t: 'TL',
+  d: 'DL',
+};
+
+const MULTIPLIERS = {
+  TW: { letter: 1, word: 3 },
+  DW: { letter: 1, word: 2 },
+  TL: { letter: 3, word: 1 },
+  DL: { letter: 2, word: 1 },
+};
+
+function buildSquares(definition) {
+  const squares = definition.rows.map((row) =>
+    row.split('').map((code) => SQUARE_CODES[code] || null),
+  );
+  squares[CENTER.row][CENTER.col] = definition.centerPremium;
+  return squares;
+}
+
+const PREMIUM_LAYOUTS = Object.freeze(
+  Object.fromEntries(
+    Object.entries(LAYOUT_DEFINITIONS).map(([name, definition]) => [
+      name,
+      Object.freeze({
+        name,
+        center: CENTER,
+        squares: buildSquares(definition),
+        bingoBonus: definition.bingoBonus,
+      }),
+    ]),
+  ),
+);
+
+function normalizeLayoutName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return DEFAULT_LAYOUT;
+  }
+  return name.trim().toUpperCase();
+}
+
+function getPremiumLayout(name) {
+  return PREMIUM_LAYOUTS[normalizeLayoutName(name)] || null;
+}
+
+function listPremiumLayouts() {
+  return Object.keys(PREMIUM_LAYOUTS);
+}
+
+function getSquareMultipliers(squares, row, col) {
+  const code = squares && squares[row] ? squares[row][col] : null;
+  return MULTIPLIERS[code] || { letter: 1, word: 1 };
+}
+
+module.exports = {
+  DEFAULT_LAYOUT,
+  getPremiumLayout,
+  listPremiumLayouts,
+  getSquareMultipliers,
+};
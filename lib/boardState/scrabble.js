@@ -1,36 +1,14 @@
 const { isPlainObject, normalizeNotes } = require('./utils');
+const { getPremiumLayout } = require('./premiumSquares');
+const { getTileValues } = require('./tileValues');
 
 const ALLOWED_TOP_LEVEL_KEYS_SCRABBLE = ['schema', 'game', 'rack', 'board', 'notes'];
-const SCRABBLE_POINTS = Object.freeze({
-  A: 3,
-  B: 3,
-  C: 3,
-  D: 2,
-  E: 3,
-  F: 4,
-  G: 5,
-  H: 5,
-  I: 3,
-  J: 8,
-  K: 5,
-  L: 1,
-  M: 3,
-  N: 3,
-  O: 3,
-  P: 6,
-  Q: 10,
-  R: 1,
-  S: 1,
-  T: 3,
-  U: 1,
-  V: 5,
-  W: 4,
-  X: 8,
-  Y: 4,
-  Z: 10,
-});
-
-function getScrabblePoints(letter, isBlank) {
+
+const RACK_SIZE = 7;
+// Y counts as a consonant.
+const VOWELS = new Set(['A', 'E', 'I', 'O', 'U']);
+
+function getScrabblePoints(letter, isBlank, tileValues = getTileValues()) {
   if (isBlank) {
     return 0;
   }
@@ -41,7 +19,7 @@ function getScrabblePoints(letter, isBlank) {
   if (!/^[A-Z]$/.test(normalized)) {
     return null;
   }
-  const points = SCRABBLE_POINTS[normalized];
+  const points = tileValues.points[normalized];
   return Number.isInteger(points) ? points : null;
 }
 
@@ -109,6 +87,23 @@ function normalizeScrabbleRack(rackRaw) {
   return { ok: true, rack };
 }
 
+// A placed tile is an A-Z letter or { letter, isBlank }. Letter case means
+// nothing: models answering older prompts often return lowercase letters, and
+// reading those as blanks would score every tile 0. Returns null for anything else.
+function normalizeBoardCell(cell) {
+  let letter = cell;
+  let isBlank = false;
+  if (isPlainObject(cell)) {
+    letter = cell.letter;
+    isBlank = cell.isBlank === true;
+  }
+  if (typeof letter !== 'string') {
+    return null;
+  }
+  const normalized = letter.trim().toUpperCase();
+  return /^[A-Z]$/.test(normalized) ? { letter: normalized, isBlank } : null;
+}
+
 function normalizeScrabbleBoard(boardRaw) {
   if (!isPlainObject(boardRaw)) {
     return {
@@ -142,6 +137,7 @@ function normalizeScrabbleBoard(boardRaw) {
   }
 
   const tiles = [];
+  const blanks = [];
   for (const row of boardRaw.tiles) {
     if (!Array.isArray(row) || row.length !== 15) {
       return {
@@ -159,34 +155,83 @@ function normalizeScrabbleBoard(boardRaw) {
         normalizedRow.push(null);
         continue;
       }
-      if (typeof cell !== 'string') {
+      const tile = normalizeBoardCell(cell);
+      if (!tile) {
         return {
           ok: false,
           error: {
             code: 'MODEL_OUTPUT_SCHEMA_INVALID',
-            message: 'board tiles must be null or A-Z strings.',
+            message: 'board tiles must be null, A-Z strings or { letter, isBlank } objects.',
           },
         };
       }
-      const normalized = cell.trim().toUpperCase();
-      if (!/^[A-Z]$/.test(normalized)) {
+      if (tile.isBlank) {
+        blanks.push({ row: tiles.length, col: normalizedRow.length, letter: tile.letter });
+      }
+      normalizedRow.push(tile.letter);
+    }
+    tiles.push(normalizedRow);
+  }
+
+  // Boards echoed from an earlier response carry their blanks as a list instead.
+  if (typeof boardRaw.blanks !== 'undefined') {
+    if (!Array.isArray(boardRaw.blanks)) {
+      return {
+        ok: false,
+        error: {
+          code: 'MODEL_OUTPUT_SCHEMA_INVALID',
+          message: 'board blanks must be an array.',
+        },
+      };
+    }
+    for (const blank of boardRaw.blanks) {
+      const row = isPlainObject(blank) ? blank.row : undefined;
+      const col = isPlainObject(blank) ? blank.col : undefined;
+      if (!Number.isInteger(row) || !Number.isInteger(col) || !tiles[row] || !tiles[row][col]) {
         return {
           ok: false,
           error: {
             code: 'MODEL_OUTPUT_SCHEMA_INVALID',
-            message: 'board tiles must be null or A-Z strings.',
+            message: 'board blanks must be { row, col } of placed tiles.',
+            details: blank,
           },
         };
       }
-      normalizedRow.push(normalized);
+      if (!blanks.some((entry) => entry.row === row && entry.col === col)) {
+        blanks.push({ row, col, letter: tiles[row][col] });
+      }
     }
-    tiles.push(normalizedRow);
   }
+  blanks.sort((a, b) => a.row - b.row || a.col - b.col);
 
-  return { ok: true, board: { size: 15, tiles } };
+  return { ok: true, board: { size: 15, tiles, blanks } };
 }
 
-function parseScrabble(parsed) {
+function parseScrabble(parsed, options = {}) {
+  const layout = getPremiumLayout(options.layout);
+  if (!layout) {
+    return {
+      ok: false,
+      error: {
+        code: 'INVALID_LAYOUT',
+        message: 'Unknown premium-square layout.',
+        details: options.layout,
+      },
+    };
+  }
+
+  const tileValues = getTileValues(options.tileValues);
+  if (!tileValues) {
+    return {
+      ok: false,
+      error: {
+        code: 'INVALID_TILE_VALUES',
+        message: 'Unknown tile-value set.',
+        details: options.tileValues,
+      },
+    };
+  }
+
   const keys = Object.keys(parsed);
   const invalidKeys = keys.filter((key) => !ALLOWED_TOP_LEVEL_KEYS_SCRABBLE.includes(key));
   if (invalidKeys.length > 0) {
@@ -228,7 +273,8 @@ function parseScrabble(parsed) {
       schema: 'WORDVINDER_SCRABBLE_EXTRACT_V1',
       game: 'SCRABBLE',
       rack: rackResult.rack,
-      board: boardResult.board,
+      board: { ...boardResult.board, layout },
+      tileValues,
       notes,
     },
   };
@@ -252,8 +298,102 @@ function buildScrabbleSummary(board) {
   };
 }
 
+// Tiles not on the board or our rack are in the bag or on the opponent's rack.
+// Assumes a two-player game: the opponent holds up to a full rack of them, and
+// once the bag is empty their rack is exactly what is left. Returns null when
+// the tile-value set has no distribution.
+function buildUnseenTiles(board) {
+  const tileValues = board.tileValues || getTileValues();
+  const { distribution } = tileValues;
+  if (!distribution) {
+    return null;
+  }
+
+  const seen = new Map();
+  let seenBlanks = 0;
+  const blankKeys = new Set((board.board.blanks || []).map((blank) => `${blank.row},${blank.col}`));
+  board.board.tiles.forEach((row, rowIndex) =>
+    row.forEach((letter, colIndex) => {
+      if (letter === null) {
+        return;
+      }
+      if (blankKeys.has(`${rowIndex},${colIndex}`)) {
+        seenBlanks += 1;
+      } else {
+        seen.set(letter, (seen.get(letter) || 0) + 1);
+      }
+    }),
+  );
+  for (const tile of board.rack || []) {
+    if (tile && tile.isBlank) {
+      seenBlanks += 1;
+    } else if (tile && typeof tile.letter === 'string') {
+      seen.set(tile.letter, (seen.get(tile.letter) || 0) + 1);
+    }
+  }
+
+  const warnings = [];
+  const letters = {};
+  let vowels = 0;
+  let consonants = 0;
+  for (const [letter, available] of Object.entries(distribution.counts)) {
+    const used = seen.get(letter) || 0;
+    if (used > available) {
+      warnings.push({
+        code: 'TOO_MANY_TILES',
+        message: `${used} ${letter} tiles are visible but the set only has ${available}.`,
+        details: { letter, seen: used, available },
+      });
+    }
+    const unseen = Math.max(0, available - used);
+    if (unseen === 0) {
+      continue;
+    }
+    letters[letter] = unseen;
+    if (VOWELS.has(letter)) {
+      vowels += unseen;
+    } else {
+      consonants += unseen;
+    }
+  }
+  if (seenBlanks > distribution.blanks) {
+    warnings.push({
+      code: 'TOO_MANY_BLANKS',
+      message: `${seenBlanks} blanks are visible but the set only has ${distribution.blanks}.`,
+      details: { seen: seenBlanks, available: distribution.blanks },
+    });
+  }
+
+  const blanks = Math.max(0, distribution.blanks - seenBlanks);
+  const total = vowels + consonants + blanks;
+  const opponentRackSize = Math.min(RACK_SIZE, total);
+  return {
+    ok: warnings.length === 0,
+    tileValues: tileValues.name,
+    total,
+    bagSize: total - opponentRackSize,
+    letters,
+    blanks,
+    vowels,
+    consonants,
+    vowelConsonantRatio: consonants > 0 ? Number((vowels / consonants).toFixed(2)) : null,
+    opponentRack: {
+      size: opponentRackSize,
+      known: total <= RACK_SIZE,
+      tiles:
+        total <= RACK_SIZE
+          ? Object.entries(letters)
+              .map(([letter, count]) => letter.repeat(count))
+              .join('') + '_'.repeat(blanks)
+          : null,
+    },
+    warnings,
+  };
+}
+
 module.exports = {
   parseScrabble,
   buildScrabbleSummary,
+  buildUnseenTiles,
   getScrabblePoints,
 };
@@ -0,0 +1,101 @@
+const NEIGHBOURS = [
+  [-1, 0],
+  [1, 0],
+  [0, -1],
+  [0, 1],
+];
+
+// Groups of orthogonally touching tiles, each a list of { row, col, letter }.
+function findTileGroups(tiles) {
+  const seen = new Set();
+  const groups = [];
+  for (let row = 0; row < tiles.length; row += 1) {
+    for (let col = 0; col < tiles[row].length; col += 1) {
+      if (tiles[row][col] === null || seen.has(`${row},${col}`)) {
+        continue;
+      }
+      const group = [];
+      const queue = [[row, col]];
+      seen.add(`${row},${col}`);
+      while (queue.length > 0) {
+        const [cellRow, cellCol] = queue.shift();
+        group.push({ row: cellRow, col: cellCol, letter: tiles[cellRow][cellCol] });
+        for (const [stepRow, stepCol] of NEIGHBOURS) {
+          const nextRow = cellRow + stepRow;
+          const nextCol = cellCol + stepCol;
+          const key = `${nextRow},${nextCol}`;
+          if (
+            nextRow < 0 ||
+            nextRow >= tiles.length ||
+            nextCol < 0 ||
+            nextCol >= tiles[nextRow].length ||
+            tiles[nextRow][nextCol] === null ||
+            seen.has(key)
+          ) {
+            continue;
+          }
+          seen.add(key);
+          queue.push([nextRow, nextCol]);
+        }
+      }
+      groups.push(group);
+    }
+  }
+  return groups;
+}
+
+// Checks that the tiles on a Scrabble board could have been played: one
+// connected group covering the center square, made only of dictionary words.
+// Word checks come from `validation` (validateBoardWords for the same board).
+// Warnings have the same { code, message, details } shape as the Wordscapes
+// consistency check.
+function analyzeScrabbleBoard(board, validation) {
+  const tiles = board.board.tiles;
+  const center = Math.floor(tiles.length / 2);
+  const warnings = [];
+
+  const groups = findTileGroups(tiles);
+  const tileCount = groups.reduce((sum, group) => sum + group.length, 0);
+  const coversCenter = tiles[center][center] !== null;
+  if (tileCount > 0 && !coversCenter) {
+    warnings.push({
+      code: 'CENTER_NOT_COVERED',
+      message: 'No tile covers the center square.',
+      details: { row: center, col: center },
+    });
+  }
+
+  if (groups.length > 1) {
+    // The group on the center square (or the largest one) is taken as the real play.
+    const main =
+      groups.find((group) => group.some((tile) => tile.row === center && tile.col === center)) ||
+      groups.reduce((largest, group) => (group.length > largest.length ? group : largest));
+    warnings.push({
+      code: 'TILES_DISCONNECTED',
+      message: `${groups.length - 1} group(s) of tiles do not connect to the rest of the board.`,
+      details: { groups: groups.filter((group) => group !== main) },
+    });
+  }
+
+  for (const entry of validation.words) {
+    if (!entry.valid) {
+      warnings.push({
+        code: 'WORD_NOT_IN_DICTIONARY',
+        message: `${entry.word} is not in the ${validation.dictionary} dictionary.`,
+        details: { word: entry.word, row: entry.row, col: entry.col, direction: entry.direction },
+      });
+    }
+  }
+
+  return {
+    ok: warnings.length === 0,
+    tileCount,
+    coversCenter,
+    connected: groups.length <= 1,
+    warnings,
+  };
+}
+
+module.exports = {
+  analyzeScrabbleBoard,
+};
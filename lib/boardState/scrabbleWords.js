@@ -0,0 +1,44 @@
+const DIRECTIONS = [
+  { direction: 'ACROSS', stepRow: 0, stepCol: 1 },
+  { direction: 'DOWN', stepRow: 1, stepCol: 0 },
+];
+
+function readCell(tiles, row, col) {
+  if (row < 0 || row >= tiles.length || col < 0 || col >= tiles[row].length) {
+    return null;
+  }
+  return tiles[row][col];
+}
+
+// Lists every run of two or more tiles along rows (ACROSS) and columns (DOWN).
+function extractBoardWords(tiles) {
+  const words = [];
+  for (const { direction, stepRow, stepCol } of DIRECTIONS) {
+    for (let row = 0; row < tiles.length; row += 1) {
+      for (let col = 0; col < tiles[row].length; col += 1) {
+        if (readCell(tiles, row, col) === null) {
+          continue;
+        }
+        if (readCell(tiles, row - stepRow, col - stepCol) !== null) {
+          continue;
+        }
+        let word = '';
+        for (
+          let cursorRow = row, cursorCol = col;
+          readCell(tiles, cursorRow, cursorCol) !== null;
+          cursorRow += stepRow, cursorCol += stepCol
+        ) {
+          word += readCell(tiles, cursorRow, cursorCol);
+        }
+        if (word.length >= 2) {
+          words.push({ word, row, col, direction, length: word.length });
+        }
+      }
+    }
+  }
+  return words;
+}
+
+module.exports = {
+  extractBoardWords,
+};
@@ -0,0 +1,287 @@
+const fs = require('fs');
+const path = require('path');
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+const CUSTOM_TILE_VALUES_DIR =
+  process.env.TILE_VALUES_DIR || path.join(__dirname, '..', '..', 'data', 'tile-values');
+
+// WORDVINDER is the table the server has always shipped, kept as the default so
+// existing clients see the same points.
+const BUILT_IN_TILE_VALUES = {
+  WORDVINDER: {
+    A: 3,
+    B: 3,
+    C: 3,
+    D: 2,
+    E: 3,
+    F: 4,
+    G: 5,
+    H: 5,
+    I: 3,
+    J: 8,
+    K: 5,
+    L: 1,
+    M: 3,
+    N: 3,
+    O: 3,
+    P: 6,
+    Q: 10,
+    R: 1,
+    S: 1,
+    T: 3,
+    U: 1,
+    V: 5,
+    W: 4,
+    X: 8,
+    Y: 4,
+    Z: 10,
+  },
+  SCRABBLE: {
+    A: 1,
+    B: 3,
+    C: 3,
+    D: 2,
+    E: 1,
+    F: 4,
+    G: 2,
+    H: 4,
+    I: 1,
+    J: 8,
+    K: 5,
+    L: 1,
+    M: 3,
+    N: 1,
+    O: 1,
+    P: 3,
+    Q: 10,
+    R: 1,
+    S: 1,
+    T: 1,
+    U: 1,
+    V: 4,
+    W: 4,
+    X: 8,
+    Y: 4,
+    Z: 10,
+  },
+  WWF: {
+    A: 1,
+    B: 4,
+    C: 4,
+    D: 2,
+    E: 1,
+    F: 4,
+    G: 3,
+    H: 3,
+    I: 1,
+    J: 10,
+    K: 5,
+    L: 2,
+    M: 4,
+    N: 2,
+    O: 1,
+    P: 4,
+    Q: 10,
+    R: 1,
+    S: 1,
+    T: 1,
+    U: 2,
+    V: 5,
+    W: 4,
+    X: 8,
+    Y: 3,
+    Z: 10,
+  },
+};
+
+// How many copies of each letter (and how many blanks) a full set holds.
+// WORDVINDER only changes the points, so it plays with the classic bag.
+const SCRABBLE_DISTRIBUTION = {
+  counts: {
+    A: 9,
+    B: 2,
+    C: 2,
+    D: 4,
+    E: 12,
+    F: 2,
+    G: 3,
+    H: 2,
+    I: 9,
+    J: 1,
+    K: 1,
+    L: 4,
+    M: 2,
+    N: 6,
+    O: 8,
+    P: 2,
+    Q: 1,
+    R: 6,
+    S: 4,
+    T: 6,
+    U: 4,
+    V: 2,
+    W: 2,
+    X: 1,
+    Y: 2,
+    Z: 1,
+  },
+  blanks: 2,
+};
+const BUILT_IN_DISTRIBUTIONS = {
+  WORDVINDER: SCRABBLE_DISTRIBUTION,
+  SCRABBLE: SCRABBLE_DISTRIBUTION,
+  WWF: {
+    counts: {
+      A: 9,
+      B: 2,
+      C: 2,
+      D: 5,
+      E: 13,
+      F: 2,
+      G: 3,
+      H: 4,
+      I: 8,
+      J: 1,
+      K: 1,
+      L: 4,
+      M: 2,
+      N: 5,
+      O: 8,
+      P: 2,
+      Q: 1,
+      R: 6,
+      S: 5,
+      T: 7,
+      U: 4,
+      V: 2,
+      W: 2,
+      X: 1,
+      Y: 2,
+      Z: 1,
+    },
+    blanks: 2,
+  },
+};
+
+function normalizeTileValuesName(name) {
+  return name.trim().toUpperCase();
+}
+
+function normalizePoints(pointsRaw) {
+  if (!pointsRaw || typeof pointsRaw !== 'object' || Array.isArray(pointsRaw)) {
+    return null;
+  }
+  const points = {};
+  for (const letter of LETTERS) {
+    const value = pointsRaw[letter];
+    if (!Number.isInteger(value) || value < 0) {
+      return null;
+    }
+    points[letter] = value;
+  }
+  return Object.freeze(points);
+}
+
+function normalizeDistribution(distributionRaw) {
+  if (!distributionRaw || typeof distributionRaw !== 'object' || Array.isArray(distributionRaw)) {
+    return null;
+  }
+  const counts = normalizePoints(distributionRaw.counts);
+  const blanks = distributionRaw.blanks;
+  if (!counts || !Number.isInteger(blanks) || blanks < 0) {
+    return null;
+  }
+  return Object.freeze({ counts, blanks });
+}
+
+// Custom sets are JSON files shaped { "name": "MYGAME", "points": { "A": 1, ... } },
+// optionally with "distribution": { "counts": { "A": 9, ... }, "blanks": 2 }.
+// The file name is used when "name" is missing.
+function loadCustomTileValues(directory) {
+  let fileNames;
+  try {
+    fileNames = fs.readdirSync(directory).filter((fileName) => fileName.endsWith('.json'));
+  } catch (error) {
+    return [];
+  }
+
+  const sets = [];
+  for (const fileName of fileNames) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(path.join(directory, fileName), 'utf-8'));
+      const rawName =
+        typeof raw.name === 'string' && raw.name.trim()
+          ? raw.name
+          : path.basename(fileName, '.json');
+      const points = normalizePoints(raw.points);
+      if (!points) {
+        console.warn(
+          `[tile-values] Ignoring ${fileName}: points must map A-Z to non-negative integers.`,
+        );
+        continue;
+      }
+      let distribution = null;
+      if (typeof raw.distribution !== 'undefined') {
+        distribution = normalizeDistribution(raw.distribution);
+        if (!distribution) {
+          console.warn(
+            `[tile-values] Ignoring the distribution in ${fileName}: counts and blanks must be non-negative integers.`,
+          );
+        }
+      }
+      sets.push({ name: normalizeTileValuesName(rawName), points, distribution });
+    } catch (error) {
+      console.warn(`[tile-values] Ignoring ${fileName}:`, error.message);
+    }
+  }
+  return sets;
+}
+
+function buildRegistry() {
+  const registry = new Map();
+  for (const [name, points] of Object.entries(BUILT_IN_TILE_VALUES)) {
+    const distribution = BUILT_IN_DISTRIBUTIONS[name];
+    registry.set(
+      name,
+      Object.freeze({
+        name,
+        points: Object.freeze({ ...points }),
+        distribution: Object.freeze({
+          counts: Object.freeze({ ...distribution.counts }),
+          blanks: distribution.blanks,
+        }),
+      }),
+    );
+  }
+  for (const tileValues of loadCustomTileValues(CUSTOM_TILE_VALUES_DIR)) {
+    if (registry.has(tileValues.name)) {
+      console.warn(`[tile-values] Custom set ${tileValues.name} overrides the built-in set.`);
+    }
+    registry.set(tileValues.name, Object.freeze(tileValues));
+  }
+  return registry;
+}
+
+const TILE_VALUES = buildRegistry();
+const DEFAULT_TILE_VALUES = TILE_VALUES.has(
+  normalizeTileValuesName(process.env.DEFAULT_TILE_VALUES || ''),
+)
+  ? normalizeTileValuesName(process.env.DEFAULT_TILE_VALUES)
+  : 'WORDVINDER';
+
+function getTileValues(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return TILE_VALUES.get(DEFAULT_TILE_VALUES);
+  }
+  return TILE_VALUES.get(normalizeTileValuesName(name)) || null;
+}
+
+function listTileValues() {
+  return Array.from(TILE_VALUES.keys());
+}
+
+module.exports = {
+  DEFAULT_TILE_VALUES,
+  getTileValues,
+  listTileValues,
+};
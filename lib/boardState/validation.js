@@ -0,0 +1,131 @@
+const { findAnagrams } = require('../dictionary');
+const { extractBoardWords } = require('./scrabbleWords');
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+const MAX_SUGGESTIONS = 5;
+const MAX_WORDSCAPES_DISTANCE = 2;
+
+// Optimal string alignment distance: insertions, deletions, substitutions and
+// adjacent transpositions each cost 1.
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const table = Array.from({ length: rows }, (_, row) => {
+    const line = new Array(cols).fill(0);
+    line[0] = row;
+    return line;
+  });
+  for (let col = 0; col < cols; col += 1) {
+    table[0][col] = col;
+  }
+  for (let row = 1; row < rows; row += 1) {
+    for (let col = 1; col < cols; col += 1) {
+      const cost = a[row - 1] === b[col - 1] ? 0 : 1;
+      table[row][col] = Math.min(
+        table[row - 1][col] + 1,
+        table[row][col - 1] + 1,
+        table[row - 1][col - 1] + cost,
+      );
+      if (row > 1 && col > 1 && a[row - 1] === b[col - 2] && a[row - 2] === b[col - 1]) {
+        table[row][col] = Math.min(table[row][col], table[row - 2][col - 2] + 1);
+      }
+    }
+  }
+  return table[rows - 1][cols - 1];
+}
+
+function rankSuggestions(word, candidates, maxDistance) {
+  return candidates
+    .filter((candidate) => candidate !== word)
+    .map((candidate) => ({ candidate, distance: editDistance(word, candidate) }))
+    .filter((entry) => entry.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+    .slice(0, MAX_SUGGESTIONS)
+    .map((entry) => entry.candidate);
+}
+
+// Single-letter substitutions that are in the dictionary; a misread tile keeps the length.
+function substitutionSuggestions(word, dictionary) {
+  const suggestions = [];
+  for (let index = 0; index < word.length && suggestions.length < MAX_SUGGESTIONS; index += 1) {
+    for (const letter of ALPHABET) {
+      if (letter === word[index]) {
+        continue;
+      }
+      const candidate = word.slice(0, index) + letter + word.slice(index + 1);
+      if (dictionary.has(candidate)) {
+        suggestions.push(candidate);
+        if (suggestions.length >= MAX_SUGGESTIONS) {
+          break;
+        }
+      }
+    }
+  }
+  return suggestions;
+}
+
+function collectWordscapesWords(board) {
+  const words = [];
+  const seen = new Set();
+  for (const entry of board.solvedWordsByLength || []) {
+    for (const word of entry.words) {
+      if (!seen.has(word)) {
+        seen.add(word);
+        words.push(word);
+      }
+    }
+  }
+  return words;
+}
+
+function validateWordscapesWords(board, dictionary) {
+  // Suggestions only come from words the wheel can actually spell.
+  let wheelWords = null;
+  const words = collectWordscapesWords(board).map((word) => {
+    if (dictionary.has(word)) {
+      return { word, valid: true };
+    }
+    if (!wheelWords) {
+      wheelWords = findAnagrams(dictionary, board.letters, { sub: true });
+    }
+    const sameLength = wheelWords.filter((candidate) => candidate.length === word.length);
+    return {
+      word,
+      valid: false,
+      suggestions: rankSuggestions(word, sameLength, MAX_WORDSCAPES_DISTANCE),
+    };
+  });
+
+  return {
+    dictionary: dictionary.name,
+    words,
+    invalidCount: words.filter((entry) => !entry.valid).length,
+  };
+}
+
+function validateScrabbleWords(board, dictionary) {
+  const words = extractBoardWords(board.board.tiles).map((entry) => {
+    if (dictionary.has(entry.word)) {
+      return { ...entry, valid: true };
+    }
+    return { ...entry, valid: false, suggestions: substitutionSuggestions(entry.word, dictionary) };
+  });
+
+  return {
+    dictionary: dictionary.name,
+    words,
+    invalidCount: words.filter((entry) => !entry.valid).length,
+  };
+}
+
+function validateBoardWords(board, dictionary) {
+  if (board.game === 'SCRABBLE') {
+    return validateScrabbleWords(board, dictionary);
+  }
+  return validateWordscapesWords(board, dictionary);
+}
+
+module.exports = {
+  editDistance,
+  validateBoardWords,
+};
@@ -61,18 +61,16 @@ function normalizeLetters(lettersRaw) {
     letters.push(normalized);
   }
 
-  const dedupedLetters = dedupePreserveOrder(letters);
-  if (dedupedLetters.length < 5) {
-    return {
-      ok: false,
-      error: {
-        code: 'MODEL_OUTPUT_SCHEMA_INVALID',
-        message: 'letters must contain at least 5 unique characters.',
-      },
-    };
-  }
+  // Wheels can repeat letters, so keep every tile rather than deduping.
+  return { ok: true, letters, letterCounts: countLetterTiles(letters) };
+}
 
-  return { ok: true, letters: dedupedLetters };
+function countLetterTiles(letters) {
+  const counts = {};
+  for (const letter of letters) {
+    counts[letter] = (counts[letter] || 0) + 1;
+  }
+  return counts;
 }
 
 function normalizeMissingByLength(missingRaw) {
@@ -306,6 +304,7 @@ function parseWordscapes(parsed) {
       schema: 'WORDVINDER_BOARD_EXTRACT_V4',
       game: 'WORDSCAPES',
       letters: lettersResult.letters,
+      letterCounts: lettersResult.letterCounts,
       missingByLength: missingResult.missingByLength,
       notes,
       ...(Array.isArray(wordLists) && wordLists.length > 0 ? { wordLists } : {}),
@@ -333,6 +332,7 @@ function buildWordscapesSummary(board) {
 }
 
 module.exports = {
+  normalizeLetters,
   parseWordscapes,
   buildWordscapesSummary,
 };
@@ -0,0 +1,96 @@
+function countLetters(letters) {
+  const counts = new Map();
+  for (const letter of letters) {
+    counts.set(letter, (counts.get(letter) || 0) + 1);
+  }
+  return counts;
+}
+
+function checkWordLetters(word, wheelCounts) {
+  const foreignLetters = [];
+  const overusedLetters = [];
+  for (const [letter, needed] of countLetters(word)) {
+    const available = wheelCounts.get(letter) || 0;
+    if (available === 0) {
+      foreignLetters.push(letter);
+    } else if (needed > available) {
+      overusedLetters.push({ letter, needed, available });
+    }
+  }
+  return { foreignLetters, overusedLetters };
+}
+
+// Cross-checks the fields of a parsed Wordscapes board. Each warning is
+// { code, message, details } so clients can show or act on them individually.
+function checkWordscapesConsistency(board) {
+  const warnings = [];
+  const wheelCounts = countLetters(board.letters);
+  const missingByLength = new Map(board.missingByLength.map((entry) => [entry.length, entry]));
+
+  for (const entry of board.solvedWordsByLength || []) {
+    if (!missingByLength.has(entry.length)) {
+      warnings.push({
+        code: 'SOLVED_LENGTH_NOT_ON_BOARD',
+        message: `Solved words of length ${entry.length} have no matching length group.`,
+        details: { length: entry.length, words: entry.words },
+      });
+    }
+
+    for (const word of entry.words) {
+      if (word.length > board.letters.length) {
+        warnings.push({
+          code: 'SOLVED_WORD_TOO_LONG',
+          message: `${word} is longer than the letter wheel.`,
+          details: { word, wheelSize: board.letters.length },
+        });
+        continue;
+      }
+
+      const { foreignLetters, overusedLetters } = checkWordLetters(word, wheelCounts);
+      if (foreignLetters.length > 0) {
+        warnings.push({
+          code: 'SOLVED_WORD_FOREIGN_LETTERS',
+          message: `${word} uses letters that are not on the wheel.`,
+          details: { word, letters: foreignLetters },
+        });
+      }
+      if (overusedLetters.length > 0) {
+        warnings.push({
+          code: 'SOLVED_WORD_LETTER_COUNT',
+          message: `${word} needs more copies of a letter than the wheel has.`,
+          details: { word, letters: overusedLetters },
+        });
+      }
+    }
+  }
+
+  for (const entry of board.wordLists || []) {
+    const missing = missingByLength.get(entry.length);
+    if (!missing) {
+      warnings.push({
+        code: 'WORD_LIST_LENGTH_MISMATCH',
+        message: `wordLists has slots of length ${entry.length} but missingByLength does not.`,
+        details: { length: entry.length },
+      });
+      continue;
+    }
+
+    const emptySlots = entry.slots.filter((slot) => slot === null).length;
+    if (missing.count !== null && emptySlots !== missing.count) {
+      warnings.push({
+        code: 'WORD_LIST_COUNT_MISMATCH',
+        message: `wordLists has ${emptySlots} empty slots of length ${entry.length} but missingByLength reports ${missing.count}.`,
+        details: { length: entry.length, emptySlots, missingCount: missing.count },
+      });
+    }
+  }
+
+  return {
+    ok: warnings.length === 0,
+    warnings,
+  };
+}
+
+module.exports = {
+  checkWordscapesConsistency,
+};
@@ -0,0 +1,248 @@
+const {
+  dedupePreserveOrder,
+  mergeMissingByLength,
+  isPlainObject,
+  normalizeNotes,
+} = require('./utils');
+const { normalizeLetters } = require('./wordscapes');
+
+const ALLOWED_TOP_LEVEL_KEYS_WORDSCAPES_GRID = [
+  'schema',
+  'game',
+  'letters',
+  'grid',
+  'slots',
+  'notes',
+];
+const DIRECTIONS = {
+  ACROSS: { stepRow: 0, stepCol: 1 },
+  DOWN: { stepRow: 1, stepCol: 0 },
+};
+const MIN_GRID_SIZE = 3;
+const MAX_GRID_SIZE = 20;
+
+function schemaError(message, details) {
+  return {
+    ok: false,
+    error: {
+      code: 'MODEL_OUTPUT_SCHEMA_INVALID',
+      message,
+      ...(typeof details === 'undefined' ? {} : { details }),
+    },
+  };
+}
+
+function normalizeCellLetter(letterRaw) {
+  if (typeof letterRaw !== 'string') {
+    return null;
+  }
+  const normalized = letterRaw.trim().toUpperCase();
+  return /^[A-Z]$/.test(normalized) ? normalized : null;
+}
+
+function isGridIndex(value, size) {
+  return Number.isInteger(value) && value >= 0 && value < size;
+}
+
+function normalizeGrid(gridRaw) {
+  if (!isPlainObject(gridRaw)) {
+    return schemaError('grid must be an object.');
+  }
+
+  const rows = Number(gridRaw.rows);
+  const cols = Number(gridRaw.cols);
+  if (
+    !Number.isInteger(rows) ||
+    !Number.isInteger(cols) ||
+    rows < MIN_GRID_SIZE ||
+    cols < MIN_GRID_SIZE ||
+    rows > MAX_GRID_SIZE ||
+    cols > MAX_GRID_SIZE
+  ) {
+    return schemaError(
+      `grid rows and cols must be integers between ${MIN_GRID_SIZE} and ${MAX_GRID_SIZE}.`,
+    );
+  }
+
+  const cellsRaw = typeof gridRaw.cells === 'undefined' ? [] : gridRaw.cells;
+  if (!Array.isArray(cellsRaw)) {
+    return schemaError('grid cells must be an array.');
+  }
+
+  const cells = new Map();
+  for (const cell of cellsRaw) {
+    if (!isPlainObject(cell)) {
+      return schemaError('grid cells must be objects.');
+    }
+    const row = Number(cell.row);
+    const col = Number(cell.col);
+    if (!isGridIndex(row, rows) || !isGridIndex(col, cols)) {
+      return schemaError('grid cell row and col must be inside the grid.', {
+        row: cell.row,
+        col: cell.col,
+      });
+    }
+    const key = `${row},${col}`;
+    const letter = normalizeCellLetter(cell.letter);
+    const existing = cells.get(key);
+    // Duplicate cells keep whichever copy has a readable letter.
+    if (!existing || existing.letter === null) {
+      cells.set(key, { row, col, letter });
+    }
+  }
+
+  return { ok: true, rows, cols, cells };
+}
+
+function normalizeSlots(slotsRaw, grid, notes) {
+  if (!Array.isArray(slotsRaw) || slotsRaw.length === 0) {
+    return schemaError('slots must be a non-empty array.');
+  }
+
+  const slots = [];
+  for (const slot of slotsRaw) {
+    if (!isPlainObject(slot)) {
+      return schemaError('slots entries must be objects.');
+    }
+
+    const direction = typeof slot.direction === 'string' ? slot.direction.trim().toUpperCase() : '';
+    const step = DIRECTIONS[direction];
+    if (!step) {
+      return schemaError('slot direction must be ACROSS or DOWN.');
+    }
+
+    const length = Number(slot.length);
+    if (!Number.isInteger(length) || length < 3 || length > 12) {
+      return schemaError('slot length must be an integer between 3 and 12.');
+    }
+
+    const row = Number(slot.row);
+    const col = Number(slot.col);
+    const endRow = row + step.stepRow * (length - 1);
+    const endCol = col + step.stepCol * (length - 1);
+    if (
+      !isGridIndex(row, grid.rows) ||
+      !isGridIndex(col, grid.cols) ||
+      !isGridIndex(endRow, grid.rows) ||
+      !isGridIndex(endCol, grid.cols)
+    ) {
+      return schemaError('slot must fit inside the grid.', {
+        row: slot.row,
+        col: slot.col,
+        direction,
+        length,
+      });
+    }
+
+    const lettersRaw = Array.isArray(slot.letters) ? slot.letters : [];
+    const positions = [];
+    for (let index = 0; index < length; index += 1) {
+      const cellRow = row + step.stepRow * index;
+      const cellCol = col + step.stepCol * index;
+      const key = `${cellRow},${cellCol}`;
+      const slotLetter = normalizeCellLetter(lettersRaw[index]);
+      const cell = grid.cells.get(key);
+
+      if (!cell) {
+        grid.cells.set(key, { row: cellRow, col: cellCol, letter: slotLetter });
+      } else if (cell.letter === null) {
+        cell.letter = slotLetter;
+      } else if (slotLetter !== null && slotLetter !== cell.letter) {
+        notes.push(
+          `Slot at ${row},${col} ${direction} reads ${slotLetter} at ${cellRow},${cellCol} but the grid has ${cell.letter}; kept ${cell.letter}.`,
+        );
+      }
+      positions.push(key);
+    }
+
+    slots.push({ row, col, direction, length, positions });
+  }
+
+  // Resolve letters after every slot is merged so revealed crossings fill both slots.
+  return {
+    ok: true,
+    slots: slots.map(({ positions, ...slot }) => {
+      const letters = positions.map((key) => grid.cells.get(key).letter);
+      return { ...slot, letters, solved: letters.every((letter) => letter !== null) };
+    }),
+  };
+}
+
+function deriveBoardSlots(slots) {
+  const missingEntries = [];
+  const solvedByLength = new Map();
+  for (const slot of slots) {
+    missingEntries.push({ length: slot.length, count: slot.solved ? 0 : 1 });
+    if (!slot.solved) {
+      continue;
+    }
+    if (!solvedByLength.has(slot.length)) {
+      solvedByLength.set(slot.length, []);
+    }
+    solvedByLength.get(slot.length).push(slot.letters.join(''));
+  }
+
+  return {
+    missingByLength: mergeMissingByLength(missingEntries),
+    solvedWordsByLength: Array.from(solvedByLength.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([length, words]) => ({ length, words: dedupePreserveOrder(words) })),
+  };
+}
+
+function parseWordscapesGrid(parsed) {
+  const keys = Object.keys(parsed);
+  const invalidKeys = keys.filter((key) => !ALLOWED_TOP_LEVEL_KEYS_WORDSCAPES_GRID.includes(key));
+  if (invalidKeys.length > 0) {
+    return schemaError('Model output JSON contains unexpected keys.', invalidKeys);
+  }
+
+  if (
+    typeof parsed.letters === 'undefined' ||
+    typeof parsed.grid === 'undefined' ||
+    typeof parsed.slots === 'undefined'
+  ) {
+    return schemaError('Model output JSON is missing required fields.');
+  }
+
+  const lettersResult = normalizeLetters(parsed.letters);
+  if (!lettersResult.ok) {
+    return lettersResult;
+  }
+
+  const gridResult = normalizeGrid(parsed.grid);
+  if (!gridResult.ok) {
+    return gridResult;
+  }
+
+  const notes = normalizeNotes(parsed.notes);
+
+  const slotsResult = normalizeSlots(parsed.slots, gridResult, notes);
+  if (!slotsResult.ok) {
+    return slotsResult;
+  }
+
+  const { missingByLength, solvedWordsByLength } = deriveBoardSlots(slotsResult.slots);
+  const cells = Array.from(gridResult.cells.values()).sort(
+    (a, b) => a.row - b.row || a.col - b.col,
+  );
+
+  return {
+    ok: true,
+    board: {
+      schema: 'WORDVINDER_BOARD_EXTRACT_V5',
+      game: 'WORDSCAPES',
+      letters: lettersResult.letters,
+      letterCounts: lettersResult.letterCounts,
+      grid: { rows: gridResult.rows, cols: gridResult.cols, cells },
+      slots: slotsResult.slots,
+      missingByLength,
+      notes,
+      ...(solvedWordsByLength.length > 0 ? { solvedWordsByLength } : {}),
+    },
+  };
+}
+
+module.exports = {
+  parseWordscapesGrid,
+};
@@ -0,0 +1,51 @@
+// Minimal circuit breaker: after `failureThreshold` consecutive failures it opens
+// and rejects calls until `resetTimeoutMs` has passed, then lets one trial call
+// through (half-open) to decide whether to close again.
+function createCircuitBreaker({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+  let state = 'CLOSED';
+  let consecutiveFailures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  function remainingOpenMs() {
+    return Math.max(0, openedAt + resetTimeoutMs - Date.now());
+  }
+
+  return {
+    getState() {
+      if (state === 'OPEN' && remainingOpenMs() === 0) {
+        return 'HALF_OPEN';
+      }
+      return state;
+    },
+    // Returns null when a call may proceed, otherwise how long until the next trial.
+    check() {
+      if (state === 'CLOSED') {
+        return null;
+      }
+      if (remainingOpenMs() > 0 || trialInFlight) {
+        return { retryAfterMs: remainingOpenMs() };
+      }
+      state = 'HALF_OPEN';
+      trialInFlight = true;
+      return null;
+    },
+    recordSuccess() {
+      state = 'CLOSED';
+      consecutiveFailures = 0;
+      trialInFlight = false;
+    },
+    recordFailure() {
+      consecutiveFailures += 1;
+      trialInFlight = false;
+      if (state === 'HALF_OPEN' || consecutiveFailures >= failureThreshold) {
+        state = 'OPEN';
+        openedAt = Date.now();
+      }
+    },
+  };
+}
+
+module.exports = {
+  createCircuitBreaker,
+};
@@ -0,0 +1,22 @@
+// Runs `worker(item, index)` over `items` with at most `limit` calls in flight
+// and resolves to the results in input order.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const runners = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, runNext);
+  await Promise.all(runners);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
@@ -0,0 +1,242 @@
+const { createDictionary, normalizeWord, toSortedKey } = require('./wordList');
+const { createDictionaryRegistry } = require('./registry');
+
+const DEFAULT_PAGE_LIMIT = 100;
+const MAX_PAGE_LIMIT = 1000;
+const MAX_ANAGRAM_LETTERS = 15;
+const MAX_PATTERN_LENGTH = 15;
+const BLANK_CHARACTERS = new Set(['?', '_']);
+
+function normalizePage({ offset, limit } = {}) {
+  const parsedOffset = Number(offset);
+  const parsedLimit = Number(limit);
+  return {
+    offset: Number.isInteger(parsedOffset) && parsedOffset > 0 ? parsedOffset : 0,
+    limit:
+      Number.isInteger(parsedLimit) && parsedLimit > 0
+        ? Math.min(parsedLimit, MAX_PAGE_LIMIT)
+        : DEFAULT_PAGE_LIMIT,
+  };
+}
+
+function paginate(results, page) {
+  const { offset, limit } = normalizePage(page);
+  return {
+    total: results.length,
+    offset,
+    limit,
+    results: results.slice(offset, offset + limit),
+  };
+}
+
+function invalidQuery(message, details) {
+  return {
+    ok: false,
+    error: {
+      code: 'INVALID_QUERY',
+      message,
+      details,
+    },
+  };
+}
+
+function lowerBound(words, target) {
+  let low = 0;
+  let high = words.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (words[mid] < target) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+function collectPrefixRange(words, prefix) {
+  const start = lowerBound(words, prefix);
+  const results = [];
+  for (let index = start; index < words.length && words[index].startsWith(prefix); index += 1) {
+    results.push(words[index]);
+  }
+  return results;
+}
+
+function lookupWord(dictionary, rawWord) {
+  const word = normalizeWord(rawWord);
+  if (!/^[A-Z]+$/.test(word)) {
+    return invalidQuery('Word must contain only A-Z letters.', rawWord);
+  }
+  return { ok: true, dictionary: dictionary.name, word, valid: dictionary.has(word) };
+}
+
+function searchPrefix(dictionary, rawPrefix, page) {
+  const prefix = normalizeWord(rawPrefix);
+  if (!/^[A-Z]+$/.test(prefix)) {
+    return invalidQuery('Prefix must contain only A-Z letters.', rawPrefix);
+  }
+  return {
+    ok: true,
+    dictionary: dictionary.name,
+    prefix,
+    ...paginate(collectPrefixRange(dictionary.words, prefix), page),
+  };
+}
+
+function segmentMatchesAt(word, segment, position) {
+  for (let index = 0; index < segment.length; index += 1) {
+    const char = segment[index];
+    if (!BLANK_CHARACTERS.has(char) && word[position + index] !== char) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Glob matching without backtracking: the pieces between stars are fixed-length,
+// so taking the leftmost fit for each middle piece never rules out a match.
+function matchesPattern(word, pieces) {
+  if (pieces.length === 1) {
+    return word.length === pieces[0].length && segmentMatchesAt(word, pieces[0], 0);
+  }
+  const first = pieces[0];
+  const last = pieces[pieces.length - 1];
+  if (word.length < first.length + last.length || !segmentMatchesAt(word, first, 0)) {
+    return false;
+  }
+  const end = word.length - last.length;
+  if (!segmentMatchesAt(word, last, end)) {
+    return false;
+  }
+  let position = first.length;
+  for (const piece of pieces.slice(1, -1)) {
+    while (position + piece.length <= end && !segmentMatchesAt(word, piece, position)) {
+      position += 1;
+    }
+    if (position + piece.length > end) {
+      return false;
+    }
+    position += piece.length;
+  }
+  return true;
+}
+
+// Patterns use ? or _ for exactly one letter and * for any run of letters (including none).
+function searchPattern(dictionary, rawPattern, page) {
+  const pattern = normalizeWord(rawPattern).replace(/\*+/g, '*');
+  if (!/^[A-Z?_*]+$/.test(pattern) || pattern.length > MAX_PATTERN_LENGTH) {
+    return invalidQuery(
+      `Pattern must be 1 to ${MAX_PATTERN_LENGTH} characters of A-Z, ?, _ or *.`,
+      rawPattern,
+    );
+  }
+
+  const literalPrefix = pattern.match(/^[A-Z]*/)[0];
+  const pieces = pattern.split('*');
+  const candidates = literalPrefix
+    ? collectPrefixRange(dictionary.words, literalPrefix)
+    : dictionary.words;
+  const results = candidates.filter((word) => matchesPattern(word, pieces));
+  return { ok: true, dictionary: dictionary.name, pattern, ...paginate(results, page) };
+}
+
+function collectSubKeys(sortedLetters) {
+  const keys = new Set();
+  const walk = (index, key) => {
+    if (index === sortedLetters.length) {
+      keys.add(key);
+      return;
+    }
+    // Skip every copy of a repeated letter at once so each sub-multiset is visited once.
+    let next = index;
+    while (next < sortedLetters.length && sortedLetters[next] === sortedLetters[index]) {
+      next += 1;
+    }
+    for (let count = 0; count <= next - index; count += 1) {
+      walk(next, key + sortedLetters[index].repeat(count));
+    }
+  };
+  walk(0, '');
+  keys.delete('');
+  return keys;
+}
+
+function fitsWithBlanks(word, letterCounts, blanks) {
+  const used = new Map();
+  let blanksLeft = blanks;
+  for (const letter of word) {
+    const nextUsed = (used.get(letter) || 0) + 1;
+    if (nextUsed > (letterCounts.get(letter) || 0)) {
+      if (blanksLeft === 0) {
+        return false;
+      }
+      blanksLeft -= 1;
+      continue;
+    }
+    used.set(letter, nextUsed);
+  }
+  return true;
+}
+
+function findAnagrams(dictionary, letters, { sub = false, minLength = 1 } = {}) {
+  const realLetters = letters.filter((letter) => !BLANK_CHARACTERS.has(letter));
+  const blanks = letters.length - realLetters.length;
+
+  let results;
+  if (blanks === 0) {
+    const keys = sub
+      ? collectSubKeys(realLetters.slice().sort())
+      : [toSortedKey(realLetters.join(''))];
+    results = [];
+    for (const key of keys) {
+      results.push(...(dictionary.anagramIndex.get(key) || []));
+    }
+  } else {
+    const letterCounts = new Map();
+    for (const letter of realLetters) {
+      letterCounts.set(letter, (letterCounts.get(letter) || 0) + 1);
+    }
+    results = dictionary.words.filter(
+      (word) =>
+        (sub ? word.length <= letters.length : word.length === letters.length) &&
+        fitsWithBlanks(word, letterCounts, blanks),
+    );
+  }
+
+  return results
+    .filter((word) => word.length >= minLength)
+    .sort((a, b) => b.length - a.length || a.localeCompare(b));
+}
+
+function searchAnagrams(dictionary, rawLetters, { sub, minLength, ...page } = {}) {
+  const letters = normalizeWord(rawLetters);
+  if (!/^[A-Z?_]+$/.test(letters) || letters.length > MAX_ANAGRAM_LETTERS) {
+    return invalidQuery(
+      `Letters must be 1 to ${MAX_ANAGRAM_LETTERS} characters of A-Z, ? or _.`,
+      rawLetters,
+    );
+  }
+  const parsedMinLength = Number(minLength);
+  const results = findAnagrams(dictionary, letters.split(''), {
+    sub: Boolean(sub),
+    minLength: Number.isInteger(parsedMinLength) && parsedMinLength > 0 ? parsedMinLength : 1,
+  });
+  return {
+    ok: true,
+    dictionary: dictionary.name,
+    letters,
+    sub: Boolean(sub),
+    ...paginate(results, page),
+  };
+}
+
+module.exports = {
+  createDictionary,
+  createDictionaryRegistry,
+  findAnagrams,
+  lookupWord,
+  searchPrefix,
+  searchPattern,
+  searchAnagrams,
+};
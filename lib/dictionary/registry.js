@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const { countWords, createDictionary } = require('./wordList');
+
+function normalizeDictionaryName(name) {
+  return typeof name === 'string' ? name.trim().toLowerCase() : '';
+}
+
+function readWordList(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (!Array.isArray(parsed) || !parsed.every((word) => typeof word === 'string')) {
+    return null;
+  }
+  return parsed;
+}
+
+// Every *.json file in the directory that holds an array of strings becomes a word
+// list named after the file. Indexes for lists other than the default are built on
+// first use so unused lists only cost their raw JSON; their word counts are
+// taken up front so list() reports the same count before and after loading.
+function createDictionaryRegistry(directory, { defaultName = 'full', gameDefaults = {} } = {}) {
+  const entries = new Map();
+  for (const fileName of fs.readdirSync(directory).sort()) {
+    if (!fileName.endsWith('.json')) {
+      continue;
+    }
+    const name = normalizeDictionaryName(path.basename(fileName, '.json'));
+    try {
+      const rawWords = readWordList(path.join(directory, fileName));
+      if (!rawWords) {
+        console.warn(`[dictionary] Ignoring ${fileName}: expected an array of words.`);
+        continue;
+      }
+      entries.set(name, { name, rawWords, wordCount: countWords(rawWords), dictionary: null });
+    } catch (error) {
+      console.warn(`[dictionary] Ignoring ${fileName}:`, error.message);
+    }
+  }
+
+  const resolvedDefault = normalizeDictionaryName(defaultName);
+  if (!entries.has(resolvedDefault)) {
+    throw new Error(`Default dictionary "${resolvedDefault}" was not found in ${directory}.`);
+  }
+
+  const resolvedGameDefaults = {};
+  for (const [game, name] of Object.entries(gameDefaults)) {
+    const normalized = normalizeDictionaryName(name);
+    if (!normalized) {
+      continue;
+    }
+    if (!entries.has(normalized)) {
+      throw new Error(`Dictionary "${normalized}" for ${game} was not found in ${directory}.`);
+    }
+    resolvedGameDefaults[game] = normalized;
+  }
+
+  function load(entry) {
+    if (!entry.dictionary) {
+      entry.dictionary = createDictionary(entry.rawWords, { name: entry.name });
+    }
+    return entry.dictionary;
+  }
+
+  function resolveName(name, game) {
+    const normalized = normalizeDictionaryName(name);
+    if (normalized) {
+      return normalized;
+    }
+    return resolvedGameDefaults[game] || resolvedDefault;
+  }
+
+  load(entries.get(resolvedDefault));
+
+  return {
+    defaultName: resolvedDefault,
+    has(name) {
+      return entries.has(resolveName(name));
+    },
+    // Returns the named list, or the default for the game when no name is given.
+    get(name, game) {
+      const entry = entries.get(resolveName(name, game));
+      return entry ? load(entry) : null;
+    },
+    getRawWords(name) {
+      const entry = entries.get(resolveName(name));
+      return entry ? entry.rawWords : null;
+    },
+    list() {
+      return Array.from(entries.values()).map((entry) => ({
+        name: entry.name,
+        wordCount: entry.wordCount,
+        isDefault: entry.name === resolvedDefault,
+        defaultFor: Object.keys(resolvedGameDefaults).filter(
+          (game) => resolvedGameDefaults[game] === entry.name,
+        ),
+      }));
+    },
+  };
+}
+
+module.exports = {
+  createDictionaryRegistry,
+};
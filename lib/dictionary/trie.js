@@ -0,0 +1,43 @@
+function createNode() {
+  return { children: Object.create(null), isWord: false };
+}
+
+function buildTrie(words, { minLength = 1, maxLength = Infinity } = {}) {
+  const root = createNode();
+  for (const rawWord of words) {
+    if (typeof rawWord !== 'string' || rawWord.length < minLength || rawWord.length > maxLength) {
+      continue;
+    }
+    let node = root;
+    for (const letter of rawWord.toUpperCase()) {
+      if (!node.children[letter]) {
+        node.children[letter] = createNode();
+      }
+      node = node.children[letter];
+    }
+    node.isWord = true;
+  }
+  return root;
+}
+
+function findNode(root, prefix) {
+  let node = root;
+  for (const letter of prefix) {
+    node = node.children[letter];
+    if (!node) {
+      return null;
+    }
+  }
+  return node;
+}
+
+function hasWord(root, word) {
+  const node = findNode(root, word);
+  return Boolean(node && node.isWord);
+}
+
+module.exports = {
+  buildTrie,
+  findNode,
+  hasWord,
+};
@@ -0,0 +1,67 @@
+const { buildTrie } = require('./trie');
+
+function toSortedKey(word) {
+  return word.split('').sort().join('');
+}
+
+function normalizeWord(word) {
+  return typeof word === 'string' ? word.trim().toUpperCase() : '';
+}
+
+function collectWords(rawWords) {
+  const wordSet = new Set();
+  for (const rawWord of rawWords) {
+    const word = normalizeWord(rawWord);
+    if (/^[A-Z]+$/.test(word)) {
+      wordSet.add(word);
+    }
+  }
+  return wordSet;
+}
+
+// The number of words createDictionary keeps: duplicates and non A-Z entries are dropped.
+function countWords(rawWords) {
+  return collectWords(rawWords).size;
+}
+
+// Builds the sorted word array and anagram index up front; the trie used by
+// move generation is large, so it is only built the first time it is needed.
+function createDictionary(rawWords, { name = null } = {}) {
+  const wordSet = collectWords(rawWords);
+  const words = Array.from(wordSet).sort();
+  const anagramIndex = new Map();
+  for (const word of words) {
+    const key = toSortedKey(word);
+    const entry = anagramIndex.get(key);
+    if (entry) {
+      entry.push(word);
+    } else {
+      anagramIndex.set(key, [word]);
+    }
+  }
+
+  let trie = null;
+
+  return {
+    name,
+    words,
+    size: words.length,
+    anagramIndex,
+    has(word) {
+      return wordSet.has(normalizeWord(word));
+    },
+    getTrie() {
+      if (!trie) {
+        trie = buildTrie(words);
+      }
+      return trie;
+    },
+  };
+}
+
+module.exports = {
+  countWords,
+  createDictionary,
+  normalizeWord,
+  toSortedKey,
+};
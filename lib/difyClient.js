@@ -1,6 +1,17 @@
 const crypto = require('crypto');
+const { createCircuitBreaker } = require('./circuitBreaker');
 
 const DEFAULT_BASE_URL = 'https://api.dify.ai';
+const DEFAULT_UPLOAD_TIMEOUT_MS = 30000;
+const DEFAULT_CHAT_TIMEOUT_MS = 90000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+function readIntegerEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
 
 function getEnvConfig() {
   return {
@@ -8,9 +19,18 @@ function getEnvConfig() {
     apiKey: process.env.DIFY_API_KEY,
     appId: process.env.DIFY_APP_ID || null,
     userId: process.env.DIFY_USER_ID || null,
+    uploadTimeoutMs: readIntegerEnv('DIFY_UPLOAD_TIMEOUT_MS', DEFAULT_UPLOAD_TIMEOUT_MS),
+    chatTimeoutMs: readIntegerEnv('DIFY_CHAT_TIMEOUT_MS', DEFAULT_CHAT_TIMEOUT_MS),
+    maxRetries: readIntegerEnv('DIFY_MAX_RETRIES', DEFAULT_MAX_RETRIES),
+    retryBaseMs: readIntegerEnv('DIFY_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS),
   };
 }
 
+const circuitBreaker = createCircuitBreaker({
+  failureThreshold: readIntegerEnv('DIFY_CIRCUIT_FAILURE_THRESHOLD', 5),
+  resetTimeoutMs: readIntegerEnv('DIFY_CIRCUIT_RESET_MS', 30000),
+});
+
 function resolveUserId(requestContext) {
   const config = getEnvConfig();
   if (config.userId) {
@@ -87,27 +107,173 @@ function extractModelText(responseJson) {
   return null;
 }
 
-async function uploadFile({ baseUrl, apiKey, userId, fileBuffer, fileName, mimeType }) {
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function readJsonBody(response) {
+  return response.json().catch(() => null);
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+function parseRetryAfterMs(headerValue) {
+  if (!headerValue) {
+    return null;
+  }
+  const seconds = Number(headerValue);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(headerValue);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Full jitter: a random delay up to the exponential backoff for this attempt.
+function backoffDelayMs(attempt, retryBaseMs) {
+  return Math.random() * Math.min(MAX_RETRY_DELAY_MS, retryBaseMs * 2 ** (attempt - 1));
+}
+
+function classifyStatus(status) {
+  if (status === 429) {
+    return 'rate_limited';
+  }
+  return status >= 500 ? 'server_error' : 'rejected';
+}
+
+function difyError(message, details) {
+  const error = new Error(message);
+  error.code = 'DIFY_ERROR';
+  error.details = details;
+  return error;
+}
+
+function timeoutError(operation, timeoutMs, attempts) {
+  return difyError(`Dify ${operation} request timed out after ${timeoutMs}ms.`, {
+    operation,
+    reason: 'timeout',
+    timeoutMs,
+    attempts,
+  });
+}
+
+// Sends one Dify request with a per-attempt timeout, retrying 429 and 5xx
+// responses (and network failures) with jittered backoff. Timeouts, network
+// failures, errors while reading a body and exhausted retries count against
+// the circuit breaker.
+// `readBody` consumes successful responses (JSON by default); the timeout
+// covers it too, and failures while reading a body are not retried.
+async function requestDify(
+  url,
+  init,
+  { operation, timeoutMs, maxRetries, retryBaseMs, failureMessage, readBody = readJsonBody },
+) {
+  const blocked = circuitBreaker.check();
+  if (blocked) {
+    const error = new Error('Dify is unavailable; failing fast.');
+    error.code = 'DIFY_UNAVAILABLE';
+    error.details = { operation, reason: 'circuit_open', retryAfterMs: blocked.retryAfterMs };
+    throw error;
+  }
+
+  for (let attempt = 1; ; attempt += 1) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    let response;
+    let responseJson;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+      responseJson = response.ok ? await readBody(response) : await readJsonBody(response);
+    } catch (fetchError) {
+      clearTimeout(timer);
+      if (controller.signal.aborted) {
+        circuitBreaker.recordFailure();
+        throw timeoutError(operation, timeoutMs, attempt);
+      }
+      if (fetchError.code === 'DIFY_ERROR') {
+        // An error reported mid-stream still ends the call, including a half-open trial.
+        circuitBreaker.recordFailure();
+        throw fetchError;
+      }
+      if (!response && attempt <= maxRetries) {
+        await sleep(backoffDelayMs(attempt, retryBaseMs));
+        continue;
+      }
+      circuitBreaker.recordFailure();
+      throw difyError(failureMessage, {
+        operation,
+        reason: 'network_error',
+        message: fetchError.message,
+        attempts: attempt,
+      });
+    }
+    clearTimeout(timer);
+
+    if (controller.signal.aborted) {
+      circuitBreaker.recordFailure();
+      throw timeoutError(operation, timeoutMs, attempt);
+    }
+
+    if (response.ok || !isRetryableStatus(response.status)) {
+      // A 4xx rejection still means Dify is up.
+      circuitBreaker.recordSuccess();
+      if (!response.ok) {
+        throw difyError(failureMessage, {
+          operation,
+          reason: classifyStatus(response.status),
+          status: response.status,
+          body: responseJson,
+          attempts: attempt,
+        });
+      }
+      return responseJson;
+    }
+
+    const retryAfterMs = parseRetryAfterMs(response.headers.get('retry-after'));
+    const canRetry =
+      attempt <= maxRetries && (retryAfterMs === null || retryAfterMs <= MAX_RETRY_DELAY_MS);
+    if (!canRetry) {
+      circuitBreaker.recordFailure();
+      throw difyError(failureMessage, {
+        operation,
+        reason: classifyStatus(response.status),
+        status: response.status,
+        body: responseJson,
+        attempts: attempt,
+        ...(retryAfterMs === null ? {} : { retryAfterMs }),
+      });
+    }
+
+    await sleep(retryAfterMs === null ? backoffDelayMs(attempt, retryBaseMs) : retryAfterMs);
+  }
+}
+
+async function uploadFile({ config, userId, fileBuffer, fileName, mimeType }) {
   const formData = new FormData();
   const blob = new Blob([fileBuffer], { type: mimeType });
   formData.append('file', blob, fileName);
   formData.append('user', userId);
 
-  const response = await fetch(`${baseUrl}/v1/files/upload`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
+  const responseJson = await requestDify(
+    `${config.baseUrl}/v1/files/upload`,
+    {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${config.apiKey}`,
+      },
+      body: formData,
     },
-    body: formData,
-  });
-
-  const responseJson = await response.json().catch(() => null);
-  if (!response.ok) {
-    const error = new Error('Dify file upload failed.');
-    error.code = 'DIFY_ERROR';
-    error.details = { status: response.status, body: responseJson };
-    throw error;
-  }
+    {
+      operation: 'upload',
+      timeoutMs: config.uploadTimeoutMs,
+      maxRetries: config.maxRetries,
+      retryBaseMs: config.retryBaseMs,
+      failureMessage: 'Dify file upload failed.',
+    },
+  );
 
   const uploadId = extractUploadId(responseJson);
   if (!uploadId) {
@@ -120,58 +286,168 @@ async function uploadFile({ baseUrl, apiKey, userId, fileBuffer, fileName, mimeT
   return uploadId;
 }
 
-async function runChatMessage({ baseUrl, apiKey, payload }) {
-  const response = await fetch(`${baseUrl}/v1/chat-messages`, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
+async function runChatMessage({ config, payload, readBody }) {
+  return requestDify(
+    `${config.baseUrl}/v1/chat-messages`,
+    {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${config.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(payload),
     },
-    body: JSON.stringify(payload),
-  });
+    {
+      operation: 'chat',
+      timeoutMs: config.chatTimeoutMs,
+      maxRetries: config.maxRetries,
+      retryBaseMs: config.retryBaseMs,
+      failureMessage: 'Dify chat message failed.',
+      readBody,
+    },
+  );
+}
 
-  const responseJson = await response.json().catch(() => null);
-  if (!response.ok) {
-    const error = new Error('Dify chat message failed.');
-    error.code = 'DIFY_ERROR';
-    error.details = { status: response.status, body: responseJson };
-    throw error;
+function parseStreamBlock(block) {
+  const data = block
+    .split('\n')
+    .filter((line) => line.startsWith('data:'))
+    .map((line) => line.slice(5).trim())
+    .join('\n');
+  if (!data) {
+    return null;
+  }
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return null;
   }
+}
+
+// Reads a `response_mode: 'streaming'` body and rebuilds a blocking-style
+// response ({ answer, message_id, conversation_id, metadata }), reporting
+// `model_started` and `tokens` progress along the way.
+async function readChatStream(response, onProgress) {
+  const decoder = new TextDecoder();
+  const result = { answer: '' };
+  let buffer = '';
+  let started = false;
+
+  function handleEvent(event) {
+    if (!event || typeof event.event !== 'string' || event.event === 'ping') {
+      return;
+    }
+    if (!started) {
+      started = true;
+      onProgress('model_started', { messageId: event.message_id || null });
+    }
+
+    if (event.event === 'error') {
+      throw difyError('Dify chat message failed.', {
+        operation: 'chat',
+        reason: 'stream_error',
+        status: event.status,
+        body: event,
+      });
+    }
 
-  return responseJson;
+    let text = null;
+    if ((event.event === 'message' || event.event === 'agent_message') && event.answer) {
+      text = event.answer;
+    } else if (event.event === 'text_chunk' && event.data && event.data.text) {
+      text = event.data.text;
+    }
+    if (text) {
+      result.answer += text;
+      onProgress('tokens', { text, receivedChars: result.answer.length });
+    }
+
+    if (event.message_id) {
+      result.message_id = event.message_id;
+    }
+    if (event.conversation_id) {
+      result.conversation_id = event.conversation_id;
+    }
+    if (event.event === 'message_end') {
+      result.metadata = event.metadata;
+    }
+    if (event.event === 'workflow_finished' && !result.answer) {
+      result.answer = extractModelText({ data: event.data }) || '';
+    }
+  }
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      handleEvent(parseStreamBlock(buffer.slice(0, boundary)));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+  handleEvent(parseStreamBlock(buffer));
+
+  return result;
+}
+
+const DEFAULT_EXTRACTION_QUERIES = {
+  WORDSCAPES: 'WORDSCAPES EXTRACT_BOARD_STATE_V4',
+  SCRABBLE: 'SCRABBLE EXTRACT_BOARD_STATE_V1',
+};
+
+// The game a query names through its WORDSCAPES / SCRABBLE token, if any.
+function resolveQueryGame(rawQuery) {
+  if (typeof rawQuery !== 'string') {
+    return null;
+  }
+  const match = rawQuery.match(/\b(WORDSCAPES|SCRABBLE)\b/i);
+  return match ? match[1].toUpperCase() : null;
 }
 
-function buildExtractionQuery(rawQuery) {
+function buildExtractionQuery(rawQuery, game = 'WORDSCAPES') {
   if (typeof rawQuery !== 'string' || !rawQuery.trim()) {
-    return 'WORDSCAPES EXTRACT_BOARD_STATE_V4';
+    return DEFAULT_EXTRACTION_QUERIES[game];
   }
 
   const trimmed = rawQuery.trim();
-  const hasToken = /\b(WORDSCAPES|SCRABBLE)\b/i.test(trimmed);
-  if (hasToken) {
+  if (resolveQueryGame(trimmed)) {
     return trimmed.replace(/\s+/g, ' ');
   }
 
-  return `WORDSCAPES ${trimmed.replace(/\s+/g, ' ')}`;
+  return `${game} ${trimmed.replace(/\s+/g, ' ')}`;
 }
 
-async function runBoardExtraction({ fileBuffer, fileName, mimeType, requestContext, query }) {
-  const { baseUrl, apiKey, appId } = ensureConfig();
+// Uploads the image and sends `query` with it as-is. With `onProgress`, the
+// chat call uses Dify's streaming mode and reports `uploaded`, `model_started`
+// and `tokens` events as they happen.
+async function runImageChat({
+  fileBuffer,
+  fileName,
+  mimeType,
+  requestContext,
+  query,
+  inputs = {},
+  onProgress,
+}) {
+  const config = ensureConfig();
   const userId = resolveUserId(requestContext);
 
   const uploadId = await uploadFile({
-    baseUrl,
-    apiKey,
+    config,
     userId,
     fileBuffer,
     fileName,
     mimeType,
   });
 
+  if (onProgress) {
+    onProgress('uploaded', { provider: 'dify', fileId: uploadId });
+  }
+
   const payload = {
-    inputs: {},
-    query: buildExtractionQuery(query),
-    response_mode: 'blocking',
+    inputs,
+    query,
+    response_mode: onProgress ? 'streaming' : 'blocking',
     user: userId,
     files: [
       {
@@ -182,14 +458,14 @@ async function runBoardExtraction({ fileBuffer, fileName, mimeType, requestConte
     ],
   };
 
-  if (appId) {
-    payload.app_id = appId;
+  if (config.appId) {
+    payload.app_id = config.appId;
   }
 
   const responseJson = await runChatMessage({
-    baseUrl,
-    apiKey,
+    config,
     payload,
+    readBody: onProgress ? (response) => readChatStream(response, onProgress) : undefined,
   });
 
   const modelText = extractModelText(responseJson);
@@ -204,8 +480,12 @@ async function runBoardExtraction({ fileBuffer, fileName, mimeType, requestConte
   return { modelText, rawResponse: responseJson };
 }
 
+async function runBoardExtraction({ query, ...options }) {
+  return runImageChat({ ...options, query: buildExtractionQuery(query) });
+}
+
 async function runMarcoPing({ requestContext }) {
-  const { baseUrl, apiKey, appId } = ensureConfig();
+  const config = ensureConfig();
   const userId = resolveUserId(requestContext);
   const payload = {
     inputs: {},
@@ -214,15 +494,11 @@ async function runMarcoPing({ requestContext }) {
     user: userId,
   };
 
-  if (appId) {
-    payload.app_id = appId;
+  if (config.appId) {
+    payload.app_id = config.appId;
   }
 
-  const responseJson = await runChatMessage({
-    baseUrl,
-    apiKey,
-    payload,
-  });
+  const responseJson = await runChatMessage({ config, payload });
 
   const modelText = extractModelText(responseJson);
   if (!modelText) {
@@ -236,7 +512,10 @@ async function runMarcoPing({ requestContext }) {
 }
 
 module.exports = {
+  buildExtractionQuery,
+  resolveQueryGame,
   runBoardExtraction,
+  runImageChat,
   runMarcoPing,
   resolveUserId,
 };
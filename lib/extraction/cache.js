@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { buildExtractionQuery } = require('../difyClient');
+const { hashImage } = require('./fixtures');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, '..', '..', 'data', 'cache', 'extraction');
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+
+// Same image + same normalized query (+ any extra variant, e.g. Scrabble
+// layout and tile values) gives the same key.
+function buildCacheKey({ fileBuffer, query, variant = '' }) {
+  return crypto
+    .createHash('sha256')
+    .update(`${hashImage(fileBuffer)}\n${buildExtractionQuery(query)}\n${variant}`)
+    .digest('hex');
+}
+
+function isExpired(entry, ttlMs) {
+  return ttlMs > 0 && Date.now() - entry.storedAt > ttlMs;
+}
+
+// Map iteration order doubles as LRU order: reads move entries to the end.
+function createMemoryCache({ ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    backend: 'memory',
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      entries.delete(key);
+      if (isExpired(entry, ttlMs)) {
+        return null;
+      }
+      entries.set(key, entry);
+      return entry;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { storedAt: Date.now(), value });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
+
+// One JSON file per key; the oldest files are removed past `maxEntries`.
+function createFileCache({
+  directory = DEFAULT_CACHE_DIR,
+  ttlMs = DEFAULT_TTL_MS,
+  maxEntries = DEFAULT_MAX_ENTRIES,
+} = {}) {
+  function entryPath(key) {
+    return path.join(directory, `${key}.json`);
+  }
+
+  function prune() {
+    const files = fs
+      .readdirSync(directory)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => ({ file, mtimeMs: fs.statSync(path.join(directory, file)).mtimeMs }))
+      .sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const { file } of files.slice(0, Math.max(0, files.length - maxEntries))) {
+      fs.rmSync(path.join(directory, file), { force: true });
+    }
+  }
+
+  return {
+    backend: 'file',
+    get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(fs.readFileSync(entryPath(key), 'utf-8'));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+          return null;
+        }
+        throw error;
+      }
+      if (isExpired(entry, ttlMs)) {
+        fs.rmSync(entryPath(key), { force: true });
+        return null;
+      }
+      return entry;
+    },
+    set(key, value) {
+      fs.mkdirSync(directory, { recursive: true });
+      fs.writeFileSync(entryPath(key), JSON.stringify({ storedAt: Date.now(), value }));
+      prune();
+    },
+  };
+}
+
+function readNonNegativeInteger(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && Number.isInteger(number) && number >= 0 ? number : fallback;
+}
+
+// EXTRACTION_CACHE picks the backend: `memory` (default), `file` or `off`.
+function createExtractionCache(env = process.env) {
+  const backend = (env.EXTRACTION_CACHE || 'memory').trim().toLowerCase();
+  const options = {
+    ttlMs: readNonNegativeInteger(env.EXTRACTION_CACHE_TTL_MS, DEFAULT_TTL_MS),
+    maxEntries: readNonNegativeInteger(env.EXTRACTION_CACHE_MAX_ENTRIES, DEFAULT_MAX_ENTRIES),
+  };
+
+  if (backend === 'off' || options.maxEntries === 0) {
+    return null;
+  }
+  if (backend === 'file') {
+    return createFileCache({ ...options, directory: env.EXTRACTION_CACHE_DIR || undefined });
+  }
+  if (backend === 'memory') {
+    return createMemoryCache(options);
+  }
+  throw new Error(`Unknown EXTRACTION_CACHE backend "${backend}".`);
+}
+
+module.exports = {
+  buildCacheKey,
+  createExtractionCache,
+  createFileCache,
+  createMemoryCache,
+};
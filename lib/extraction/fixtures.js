@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'data', 'fixtures', 'extraction');
+
+function getFixturesDir() {
+  return process.env.EXTRACTION_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+function hashImage(fileBuffer) {
+  return crypto.createHash('sha256').update(fileBuffer).digest('hex');
+}
+
+function fixturePath(imageHash) {
+  return path.join(getFixturesDir(), `${imageHash}.json`);
+}
+
+function readFixture(imageHash) {
+  try {
+    return JSON.parse(fs.readFileSync(fixturePath(imageHash), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function writeFixture(imageHash, fixture) {
+  fs.mkdirSync(getFixturesDir(), { recursive: true });
+  fs.writeFileSync(fixturePath(imageHash), `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+module.exports = {
+  hashImage,
+  readFixture,
+  writeFixture,
+};
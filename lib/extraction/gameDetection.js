@@ -0,0 +1,67 @@
+const GAME_CLASSIFICATION_QUERY = 'CLASSIFY_GAME_V1';
+const GAME_CLASSIFICATION_SCHEMA = 'WORDVINDER_GAME_CLASSIFY_V1';
+const SUPPORTED_GAMES = new Set(['WORDSCAPES', 'SCRABBLE']);
+const FALLBACK_GAME = 'WORDSCAPES';
+const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+function getMinConfidence() {
+  const value = Number(process.env.GAME_DETECTION_MIN_CONFIDENCE);
+  return Number.isFinite(value) && value >= 0 && value <= 1 ? value : DEFAULT_MIN_CONFIDENCE;
+}
+
+// Returns the forced game (`WORDSCAPES` / `SCRABBLE`), `AUTO`, or null when the
+// value is not a game mode at all.
+function normalizeGameMode(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  const mode = value.trim().toUpperCase();
+  return mode === 'AUTO' || SUPPORTED_GAMES.has(mode) ? mode : null;
+}
+
+// Reads `{ schema, game, confidence }` from the classification pass. Anything
+// unreadable counts as an UNKNOWN game with zero confidence.
+function parseGameClassification(modelText) {
+  const unknown = { game: 'UNKNOWN', confidence: 0 };
+  if (typeof modelText !== 'string') {
+    return unknown;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(modelText.replace(/```(?:json)?/gi, '').trim());
+  } catch (error) {
+    return unknown;
+  }
+  if (!parsed || typeof parsed !== 'object' || parsed.schema !== GAME_CLASSIFICATION_SCHEMA) {
+    return unknown;
+  }
+
+  const game = typeof parsed.game === 'string' ? parsed.game.trim().toUpperCase() : '';
+  const confidence = Number(parsed.confidence);
+  if (!SUPPORTED_GAMES.has(game) || !Number.isFinite(confidence)) {
+    return unknown;
+  }
+  return { game, confidence: Math.min(1, Math.max(0, confidence)) };
+}
+
+// Picks the game to extract: confident detections win, anything else falls back
+// to WORDSCAPES (the pre-detection default).
+function resolveDetectedGame(classification) {
+  const isConfident =
+    classification.game !== 'UNKNOWN' && classification.confidence >= getMinConfidence();
+  return {
+    requested: 'AUTO',
+    detected: classification.game,
+    confidence: classification.confidence,
+    game: isConfident ? classification.game : FALLBACK_GAME,
+  };
+}
+
+module.exports = {
+  GAME_CLASSIFICATION_QUERY,
+  GAME_CLASSIFICATION_SCHEMA,
+  normalizeGameMode,
+  parseGameClassification,
+  resolveDetectedGame,
+};
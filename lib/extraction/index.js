@@ -0,0 +1,193 @@
+const { buildExtractionQuery, resolveQueryGame } = require('../difyClient');
+const { hashImage, writeFixture } = require('./fixtures');
+const { buildCacheKey, createExtractionCache } = require('./cache');
+const { describeForResponse, findPrompt, getPrompt, listPrompts } = require('./prompts');
+const {
+  normalizeGameMode,
+  parseGameClassification,
+  resolveDetectedGame,
+} = require('./gameDetection');
+const difyProvider = require('./providers/dify');
+const openaiProvider = require('./providers/openai');
+const mockProvider = require('./providers/mock');
+
+const PROVIDERS = {
+  dify: difyProvider,
+  openai: openaiProvider,
+  mock: mockProvider,
+};
+
+const DEFAULT_PROVIDER = 'dify';
+const FALLBACK_GAME_MODE = 'WORDSCAPES';
+
+// Errors from any provider that should reach clients as a 502 with details.
+const PROVIDER_ERROR_CODES = new Set(['DIFY_ERROR', 'DIFY_UNAVAILABLE', 'EXTRACTION_ERROR']);
+
+function getProviderName() {
+  return (process.env.EXTRACTION_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+}
+
+function getExtractionProvider() {
+  const name = getProviderName();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    const error = new Error(`Unknown EXTRACTION_PROVIDER "${name}".`);
+    error.code = 'EXTRACTION_ERROR';
+    error.details = { available: Object.keys(PROVIDERS) };
+    throw error;
+  }
+  return provider;
+}
+
+// Pins only mean something when the provider sends the prompt text to the
+// model; otherwise the model answers with whatever prompt it was set up with.
+function canPinPrompts() {
+  const provider = PROVIDERS[getProviderName()];
+  return Boolean(provider && provider.sendsPrompt());
+}
+
+// AUTO costs a classification call per screenshot, so it is only the default
+// for providers that can answer it; DEFAULT_GAME overrides either way.
+function getDefaultGameMode() {
+  const configured = normalizeGameMode(process.env.DEFAULT_GAME);
+  if (configured) {
+    return configured;
+  }
+  const provider = PROVIDERS[getProviderName()];
+  return provider && provider.classifiesGames() ? 'AUTO' : FALLBACK_GAME_MODE;
+}
+
+// A game token in the query wins, then the requested game, then DEFAULT_GAME.
+// In AUTO mode a cheap classification pass picks the game before extraction.
+async function detectGame(
+  provider,
+  { fileBuffer, fileName, mimeType, requestContext, query, game },
+) {
+  const mode = resolveQueryGame(query) || normalizeGameMode(game) || getDefaultGameMode();
+  if (mode !== 'AUTO') {
+    return { requested: mode, detected: null, confidence: null, game: mode };
+  }
+  if (!provider.classifyGame) {
+    return resolveDetectedGame({ game: 'UNKNOWN', confidence: 0 });
+  }
+
+  const { modelText } = await provider.classifyGame({
+    fileBuffer,
+    fileName,
+    mimeType,
+    requestContext,
+  });
+  const detection = resolveDetectedGame(parseGameClassification(modelText));
+  console.log('EXTRACTION_GAME_DETECTION', { provider: provider.name, modelText, detection });
+  return detection;
+}
+
+function resolveQueryCommand(query) {
+  const match = query.match(/\b([A-Z][A-Z0-9_]*_V\d+)\b/);
+  return match ? match[1] : null;
+}
+
+// `promptId` pins a registry prompt: its game and command replace detection
+// and the query. Otherwise the newest prompt answering the query is used.
+// `onProgress(event, data)` receives `detected`, `uploaded`, `model_started`
+// and `tokens` events. Providers without streaming report them around a
+// single call.
+async function runBoardExtraction({
+  fileBuffer,
+  fileName,
+  mimeType,
+  requestContext,
+  query,
+  game,
+  promptId,
+  onProgress,
+}) {
+  const provider = getExtractionProvider();
+  const pinnedPrompt = promptId ? getPrompt(promptId) : null;
+  if (promptId && !pinnedPrompt) {
+    const error = new Error(`Unknown prompt "${promptId}".`);
+    error.code = 'EXTRACTION_ERROR';
+    error.details = { prompt: promptId };
+    throw error;
+  }
+  if (pinnedPrompt && !provider.sendsPrompt()) {
+    const error = new Error(`The ${provider.name} provider cannot pin prompts.`);
+    error.code = 'EXTRACTION_ERROR';
+    error.details = { prompt: promptId, provider: provider.name };
+    throw error;
+  }
+
+  const detection = await detectGame(provider, {
+    fileBuffer,
+    fileName,
+    mimeType,
+    requestContext,
+    query: pinnedPrompt ? undefined : query,
+    game: pinnedPrompt ? pinnedPrompt.game : game,
+  });
+  if (onProgress) {
+    onProgress('detected', detection);
+  }
+
+  const normalizedQuery = pinnedPrompt
+    ? buildExtractionQuery(pinnedPrompt.command || undefined, pinnedPrompt.game)
+    : buildExtractionQuery(query, detection.game);
+  const prompt =
+    pinnedPrompt ||
+    findPrompt({ game: detection.game, command: resolveQueryCommand(normalizedQuery) });
+  const streamsProgress = Boolean(onProgress && provider.streamsProgress);
+
+  if (onProgress && !streamsProgress) {
+    onProgress('uploaded', { provider: provider.name });
+    onProgress('model_started', {});
+  }
+
+  const result = await provider.runBoardExtraction({
+    fileBuffer,
+    fileName,
+    mimeType,
+    requestContext,
+    query: normalizedQuery,
+    prompt,
+    onProgress: streamsProgress ? onProgress : undefined,
+  });
+
+  if (onProgress && !streamsProgress) {
+    onProgress('tokens', { text: result.modelText, receivedChars: result.modelText.length });
+  }
+
+  if (process.env.EXTRACTION_RECORD === '1' && provider !== mockProvider) {
+    writeFixture(hashImage(fileBuffer), {
+      provider: provider.name,
+      query: normalizedQuery,
+      modelText: result.modelText,
+    });
+  }
+
+  return {
+    ...result,
+    provider: provider.name,
+    detection,
+    prompt: prompt
+      ? {
+          ...describeForResponse(prompt),
+          pinned: Boolean(pinnedPrompt),
+          sent: provider.sendsPrompt(),
+        }
+      : null,
+  };
+}
+
+module.exports = {
+  PROVIDER_ERROR_CODES,
+  buildCacheKey,
+  canPinPrompts,
+  createExtractionCache,
+  getDefaultGameMode,
+  getExtractionProvider,
+  getProviderName,
+  getPrompt,
+  listPrompts,
+  normalizeGameMode,
+  runBoardExtraction,
+};
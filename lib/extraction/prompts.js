@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { SUPPORTED_BOARD_SCHEMAS } = require('../boardState');
+
+const PROMPTS_DIR =
+  process.env.PROMPTS_DIR || path.join(__dirname, '..', '..', 'documents', 'llm-instructions');
+
+// `v4.0.0.md` is a Wordscapes prompt; other games and tasks use a prefix
+// (`scrabble-v1.0.0.md`, `classify-game-v1.0.0.md`).
+const PROMPT_FAMILIES = {
+  '': 'WORDSCAPES',
+  scrabble: 'SCRABBLE',
+  'classify-game': null,
+};
+
+function compareVersions(a, b) {
+  for (let index = 0; index < 3; index += 1) {
+    if (a[index] !== b[index]) {
+      return a[index] - b[index];
+    }
+  }
+  return 0;
+}
+
+// Reads what each prompt promises from its own text: the schema id it tells the
+// model to emit and the command token it answers to.
+function describePrompt(fileName, text) {
+  const match = fileName.match(/^(?:([a-z-]+)-)?v(\d+)\.(\d+)\.(\d+)\.md$/);
+  if (!match || !Object.hasOwn(PROMPT_FAMILIES, match[1] || '')) {
+    return null;
+  }
+
+  const schemaMatch = text.match(/"schema":\s*"([A-Z0-9_]+)"/);
+  const commandMatch = text.match(/\b((?:EXTRACT_BOARD_STATE|CLASSIFY_GAME)_V\d+)\b/);
+  const schema = schemaMatch ? schemaMatch[1] : null;
+  return {
+    id: path.basename(fileName, '.md'),
+    file: fileName,
+    game: PROMPT_FAMILIES[match[1] || ''],
+    version: [Number(match[2]), Number(match[3]), Number(match[4])],
+    command: commandMatch ? commandMatch[1] : null,
+    schema,
+    parseable: SUPPORTED_BOARD_SCHEMAS.includes(schema),
+    text,
+  };
+}
+
+function loadPrompts(directory) {
+  let fileNames;
+  try {
+    fileNames = fs.readdirSync(directory).filter((fileName) => fileName.endsWith('.md'));
+  } catch (error) {
+    console.warn(`[prompts] Could not read ${directory}:`, error.message);
+    return [];
+  }
+
+  const prompts = [];
+  for (const fileName of fileNames) {
+    const prompt = describePrompt(
+      fileName,
+      fs.readFileSync(path.join(directory, fileName), 'utf-8'),
+    );
+    if (!prompt) {
+      console.warn(`[prompts] Ignoring ${fileName}: not a versioned prompt file.`);
+      continue;
+    }
+    prompts.push(Object.freeze(prompt));
+  }
+  // Newest first, so lookups pick the latest matching version.
+  return prompts.sort((a, b) => compareVersions(b.version, a.version));
+}
+
+const PROMPTS = loadPrompts(PROMPTS_DIR);
+
+function getPrompt(id) {
+  if (typeof id !== 'string') {
+    return null;
+  }
+  const normalized = id.trim().toLowerCase().replace(/\.md$/, '');
+  return PROMPTS.find((prompt) => prompt.id === normalized) || null;
+}
+
+// The newest prompt for `game` that answers `command`. Prompts without a command
+// token (Scrabble) answer any command for their game.
+function findPrompt({ game, command }) {
+  const candidates = PROMPTS.filter((prompt) => prompt.game === game);
+  return (
+    candidates.find((prompt) => prompt.command === command) ||
+    candidates.find((prompt) => prompt.command === null) ||
+    null
+  );
+}
+
+function findPromptByCommand(command) {
+  return PROMPTS.find((prompt) => prompt.command === command) || null;
+}
+
+function describeForResponse(prompt) {
+  return {
+    id: prompt.id,
+    file: prompt.file,
+    game: prompt.game,
+    command: prompt.command,
+    schema: prompt.schema,
+  };
+}
+
+function listPrompts() {
+  return PROMPTS.map((prompt) => ({
+    ...describeForResponse(prompt),
+    version: prompt.version.join('.'),
+    parseable: prompt.parseable,
+  }));
+}
+
+module.exports = {
+  describeForResponse,
+  findPrompt,
+  findPromptByCommand,
+  getPrompt,
+  listPrompts,
+};
@@ -0,0 +1,38 @@
+const { runBoardExtraction: difyRunBoardExtraction, runImageChat } = require('../../difyClient');
+const { GAME_CLASSIFICATION_QUERY } = require('../gameDetection');
+const { findPromptByCommand } = require('../prompts');
+
+// By default the Dify app keeps its own prompt and only sees the command token.
+// With DIFY_SEND_PROMPT=1 the server's prompt goes along as the `instructions`
+// input, for apps whose system prompt is just `{{instructions}}`.
+function sendsPrompt() {
+  return process.env.DIFY_SEND_PROMPT === '1';
+}
+
+function promptInputs(prompt) {
+  return sendsPrompt() && prompt ? { instructions: prompt.text } : {};
+}
+
+async function runBoardExtraction({ prompt, ...options }) {
+  return difyRunBoardExtraction({ ...options, inputs: promptInputs(prompt) });
+}
+
+// Without DIFY_SEND_PROMPT the Dify app prompt has to answer the classification
+// command as well (see documents/llm-instructions/classify-game-v1.0.0.md).
+async function classifyGame(options) {
+  return runImageChat({
+    ...options,
+    query: GAME_CLASSIFICATION_QUERY,
+    inputs: promptInputs(findPromptByCommand(GAME_CLASSIFICATION_QUERY)),
+  });
+}
+
+module.exports = {
+  name: 'dify',
+  streamsProgress: true,
+  sendsPrompt,
+  // Only trust detection when the classification prompt goes along with it.
+  classifiesGames: sendsPrompt,
+  classifyGame,
+  runBoardExtraction,
+};
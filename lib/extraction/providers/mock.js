@@ -0,0 +1,61 @@
+const { hashImage, readFixture } = require('../fixtures');
+const { GAME_CLASSIFICATION_SCHEMA } = require('../gameDetection');
+
+function readImageFixture(fileBuffer) {
+  const imageHash = hashImage(fileBuffer);
+  const fixture = readFixture(imageHash);
+  if (!fixture || typeof fixture.modelText !== 'string') {
+    const error = new Error('No recorded extraction for this image.');
+    error.code = 'EXTRACTION_ERROR';
+    error.details = { imageHash };
+    throw error;
+  }
+  return { imageHash, fixture };
+}
+
+// Replays modelText recorded for an image (see EXTRACTION_RECORD=1), so the
+// parse pipeline runs offline and in tests without calling a model.
+async function runBoardExtraction({ fileBuffer, query }) {
+  const { imageHash, fixture } = readImageFixture(fileBuffer);
+
+  if (fixture.query && fixture.query !== query) {
+    console.warn('[extraction:mock] fixture was recorded for a different query', {
+      imageHash,
+      recordedQuery: fixture.query,
+      query,
+    });
+  }
+
+  return { modelText: fixture.modelText, rawResponse: { fixture: imageHash } };
+}
+
+// Uses a recorded `classification` when the fixture has one, otherwise the game
+// of the recorded board with full confidence.
+async function classifyGame({ fileBuffer }) {
+  const { imageHash, fixture } = readImageFixture(fileBuffer);
+  if (typeof fixture.classification === 'string') {
+    return { modelText: fixture.classification, rawResponse: { fixture: imageHash } };
+  }
+
+  let game = null;
+  try {
+    game = JSON.parse(fixture.modelText.replace(/```(?:json)?/gi, '').trim()).game;
+  } catch (error) {
+    game = null;
+  }
+  const modelText = JSON.stringify({
+    schema: GAME_CLASSIFICATION_SCHEMA,
+    game: game || 'UNKNOWN',
+    confidence: game ? 1 : 0,
+  });
+  return { modelText, rawResponse: { fixture: imageHash } };
+}
+
+module.exports = {
+  name: 'mock',
+  // Fixtures replay whatever prompt they were recorded with.
+  sendsPrompt: () => false,
+  classifiesGames: () => true,
+  classifyGame,
+  runBoardExtraction,
+};
@@ -0,0 +1,148 @@
+const { GAME_CLASSIFICATION_QUERY } = require('../gameDetection');
+const { findPromptByCommand } = require('../prompts');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 90000;
+
+function readTimeoutMs() {
+  const value = Number(process.env.OPENAI_TIMEOUT_MS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_TIMEOUT_MS;
+}
+
+function getEnvConfig() {
+  return {
+    baseUrl: (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || DEFAULT_MODEL,
+    timeoutMs: readTimeoutMs(),
+  };
+}
+
+function extractionError(message, details) {
+  const error = new Error(message);
+  error.code = 'EXTRACTION_ERROR';
+  error.details = details;
+  return error;
+}
+
+function ensureConfig() {
+  const config = getEnvConfig();
+  if (!config.apiKey) {
+    throw extractionError('Missing OPENAI_API_KEY');
+  }
+  return config;
+}
+
+// Timeouts and network failures become EXTRACTION_ERROR like any other failed
+// completion instead of surfacing as an unexpected server error.
+async function postChatCompletion(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let response;
+  let responseJson;
+  try {
+    response = await fetch(url, { ...init, signal: controller.signal });
+    responseJson = await response.json().catch(() => null);
+  } catch (fetchError) {
+    if (!controller.signal.aborted) {
+      throw extractionError('Chat completion request failed.', {
+        reason: 'network_error',
+        message: fetchError.message,
+      });
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (controller.signal.aborted) {
+    throw extractionError(`Chat completion request timed out after ${timeoutMs}ms.`, {
+      reason: 'timeout',
+      timeoutMs,
+    });
+  }
+  return { response, responseJson };
+}
+
+function extractMessageText(responseJson) {
+  const choice =
+    responseJson && Array.isArray(responseJson.choices) ? responseJson.choices[0] : null;
+  const content = choice && choice.message ? choice.message.content : null;
+  if (typeof content === 'string') {
+    return content;
+  }
+  // Some compatible servers return content parts instead of a plain string.
+  if (Array.isArray(content)) {
+    return content.map((part) => (part && typeof part.text === 'string' ? part.text : '')).join('');
+  }
+  return null;
+}
+
+// Dify keeps the prompt in its app config; here the server sends the prompt the
+// extraction layer picked from the registry.
+async function runBoardExtraction({ fileBuffer, mimeType, query, prompt }) {
+  const { baseUrl, apiKey, model, timeoutMs } = ensureConfig();
+  if (!prompt) {
+    throw extractionError('No prompt in documents/llm-instructions answers this query.', { query });
+  }
+
+  const payload = {
+    model,
+    messages: [
+      { role: 'system', content: prompt.text },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: query },
+          {
+            type: 'image_url',
+            image_url: { url: `data:${mimeType};base64,${fileBuffer.toString('base64')}` },
+          },
+        ],
+      },
+    ],
+  };
+
+  const { response, responseJson } = await postChatCompletion(
+    `${baseUrl}/chat/completions`,
+    {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(payload),
+    },
+    timeoutMs,
+  );
+
+  if (!response.ok) {
+    throw extractionError('Chat completion request failed.', {
+      status: response.status,
+      body: responseJson,
+    });
+  }
+
+  const modelText = extractMessageText(responseJson);
+  if (!modelText) {
+    throw extractionError('Chat completion response missing model text.', responseJson);
+  }
+
+  return { modelText, rawResponse: responseJson };
+}
+
+async function classifyGame(options) {
+  return runBoardExtraction({
+    ...options,
+    query: GAME_CLASSIFICATION_QUERY,
+    prompt: findPromptByCommand(GAME_CLASSIFICATION_QUERY),
+  });
+}
+
+module.exports = {
+  name: 'openai',
+  sendsPrompt: () => true,
+  classifiesGames: () => true,
+  classifyGame,
+  runBoardExtraction,
+};
@@ -0,0 +1,149 @@
+const sharp = require('sharp');
+const convertHeic = require('heic-convert');
+
+const DEFAULT_MAX_DIMENSION = 2048;
+const DEFAULT_STATUS_BAR_FRACTION = 0.05;
+const MAX_OUTPUT_BYTES = 5 * 1024 * 1024;
+const HEIC_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']);
+const OUTPUT_MIME_TYPES = { png: 'image/png', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+function readNumberEnv(name, fallback, isValid) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && isValid(value) ? value : fallback;
+}
+
+function getPreprocessingConfig() {
+  return {
+    maxDimension: readNumberEnv(
+      'IMAGE_MAX_DIMENSION',
+      DEFAULT_MAX_DIMENSION,
+      (value) => Number.isInteger(value) && value > 0,
+    ),
+    statusBarFraction: readNumberEnv(
+      'IMAGE_STATUS_BAR_FRACTION',
+      DEFAULT_STATUS_BAR_FRACTION,
+      (value) => value > 0 && value < 0.5,
+    ),
+  };
+}
+
+// HEIC/HEIF files are ISO-BMFF: an `ftyp` box whose major brand names the codec.
+function isHeic(buffer, mimeType) {
+  if (mimeType === 'image/heic' || mimeType === 'image/heif') {
+    return true;
+  }
+  return (
+    buffer.length > 12 &&
+    buffer.toString('latin1', 4, 8) === 'ftyp' &&
+    HEIC_BRANDS.has(buffer.toString('latin1', 8, 12))
+  );
+}
+
+function describe(metadata, bytes) {
+  return { format: metadata.format, width: metadata.width, height: metadata.height, bytes };
+}
+
+function invalidImageError(message, details) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMAGE';
+  error.details = details;
+  return error;
+}
+
+// Normalizes an uploaded screenshot before it is sent to the model: HEIC is
+// decoded, EXIF orientation applied and metadata dropped, large images are
+// downscaled and, on request, the phone status bar is cropped off. Images that
+// need none of this are passed through byte for byte. `applied` lists the steps
+// that ran.
+async function preprocessImage(fileBuffer, { mimeType, cropStatusBar = false } = {}) {
+  const config = getPreprocessingConfig();
+  const applied = [];
+  let input = fileBuffer;
+
+  if (isHeic(fileBuffer, mimeType)) {
+    try {
+      input = Buffer.from(await convertHeic({ buffer: fileBuffer, format: 'JPEG', quality: 0.92 }));
+    } catch (error) {
+      throw invalidImageError('Could not decode HEIC image.', { reason: error.message });
+    }
+    applied.push('decoded_heic');
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(input).metadata();
+  } catch (error) {
+    throw invalidImageError('Could not decode image.', { reason: error.message });
+  }
+  const original = describe(metadata, fileBuffer.length);
+  if (applied.includes('decoded_heic')) {
+    original.format = 'heic';
+  }
+
+  let pipeline = sharp(input).rotate();
+  // EXIF orientations 5-8 swap width and height.
+  const isTransposed = metadata.orientation >= 5;
+  let width = isTransposed ? metadata.height : metadata.width;
+  let height = isTransposed ? metadata.width : metadata.height;
+
+  if (metadata.orientation && metadata.orientation > 1) {
+    applied.push('auto_rotated');
+  }
+  if (metadata.exif || metadata.icc || metadata.xmp || metadata.iptc) {
+    applied.push('stripped_metadata');
+  }
+
+  if (cropStatusBar && height > width) {
+    const top = Math.round(height * config.statusBarFraction);
+    pipeline = pipeline.extract({ left: 0, top, width, height: height - top });
+    height -= top;
+    applied.push('cropped_status_bar');
+  }
+
+  if (Math.max(width, height) > config.maxDimension) {
+    pipeline = pipeline.resize({
+      width: config.maxDimension,
+      height: config.maxDimension,
+      fit: 'inside',
+    });
+    applied.push('downscaled');
+  }
+
+  // Formats the providers accept are kept; anything else (AVIF, TIFF, ...) becomes JPEG.
+  let outputFormat = OUTPUT_MIME_TYPES[metadata.format] ? metadata.format : 'jpeg';
+  if (outputFormat !== metadata.format) {
+    applied.push('converted_format');
+  }
+
+  if (applied.length === 0 && fileBuffer.length <= MAX_OUTPUT_BYTES) {
+    return {
+      buffer: fileBuffer,
+      mimeType: OUTPUT_MIME_TYPES[metadata.format],
+      report: { applied, original, output: original },
+    };
+  }
+
+  let output = await pipeline.toFormat(outputFormat, { quality: 90 }).toBuffer({
+    resolveWithObject: true,
+  });
+  // Photos of screens can stay large as PNG; JPEG keeps them within upload limits.
+  if (outputFormat !== 'jpeg' && output.data.length > MAX_OUTPUT_BYTES) {
+    outputFormat = 'jpeg';
+    output = await sharp(output.data).jpeg({ quality: 90 }).toBuffer({ resolveWithObject: true });
+    applied.push('converted_format');
+  }
+
+  return {
+    buffer: output.data,
+    mimeType: OUTPUT_MIME_TYPES[outputFormat],
+    report: {
+      applied,
+      original,
+      output: describe(output.info, output.data.length),
+    },
+  };
+}
+
+module.exports = {
+  preprocessImage,
+};
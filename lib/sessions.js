@@ -0,0 +1 @@
+module.exports = require('./sessions/index.js');
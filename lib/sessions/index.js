@@ -0,0 +1,116 @@
+const { createSessionStore } = require('./store');
+const { inferTurn } = require('./turns');
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 4;
+const BOARD_SIZE = 15;
+
+function invalidSession(code, message, details) {
+  return { ok: false, error: { code, message, details } };
+}
+
+function emptyBoard() {
+  return {
+    tiles: Array.from({ length: BOARD_SIZE }, () => new Array(BOARD_SIZE).fill(null)),
+    blanks: [],
+  };
+}
+
+function normalizePlayers(playersRaw) {
+  if (!Array.isArray(playersRaw)) {
+    return null;
+  }
+  const names = playersRaw.map((name) => (typeof name === 'string' ? name.trim() : ''));
+  const isValid =
+    names.length >= MIN_PLAYERS &&
+    names.length <= MAX_PLAYERS &&
+    names.every(Boolean) &&
+    new Set(names.map((name) => name.toLowerCase())).size === names.length;
+  return isValid ? names : null;
+}
+
+// `variant` is the layout and tile-value names the session scores with;
+// `board` optionally starts the game from a position already on the table.
+function createGame({ id, players, variant, dictionary, board }) {
+  const names = normalizePlayers(players);
+  if (!names) {
+    return invalidSession(
+      'INVALID_PLAYERS',
+      `players must be ${MIN_PLAYERS} to ${MAX_PLAYERS} distinct names.`,
+      players,
+    );
+  }
+
+  const now = new Date().toISOString();
+  return {
+    ok: true,
+    session: {
+      id,
+      createdAt: now,
+      updatedAt: now,
+      layout: variant.layout,
+      tileValues: variant.tileValues,
+      dictionary: dictionary || null,
+      players: names.map((name) => ({ name, score: 0 })),
+      board: board ? { tiles: board.tiles, blanks: board.blanks } : emptyBoard(),
+      turns: [],
+    },
+  };
+}
+
+// Players take turns in the order they were listed unless the request names one.
+function resolvePlayer(session, playerRaw) {
+  if (typeof playerRaw === 'undefined' || playerRaw === null || playerRaw === '') {
+    const lastTurn = session.turns[session.turns.length - 1];
+    const lastIndex = lastTurn
+      ? session.players.findIndex((player) => player.name === lastTurn.player)
+      : -1;
+    return session.players[(lastIndex + 1) % session.players.length];
+  }
+  const name = typeof playerRaw === 'string' ? playerRaw.trim().toLowerCase() : null;
+  return session.players.find((player) => player.name.toLowerCase() === name) || null;
+}
+
+// Adds the turn that leads from the session's last board to `board` (a parsed
+// Scrabble board), updates the player's running total and returns the turn.
+// Boards that contradict the stored one are rejected and leave the session as is.
+function recordTurn(session, board, { player: playerRaw, source, scoring }) {
+  const player = resolvePlayer(session, playerRaw);
+  if (!player) {
+    return invalidSession('INVALID_PLAYER', 'Unknown player for this session.', {
+      player: playerRaw,
+      available: session.players.map((entry) => entry.name),
+    });
+  }
+
+  const next = { tiles: board.board.tiles, blanks: board.board.blanks || [] };
+  const inferred = inferTurn(session.board, next, scoring);
+  if (!inferred.ok) {
+    return inferred;
+  }
+  const turn = {
+    number: session.turns.length + 1,
+    player: player.name,
+    source,
+    createdAt: new Date().toISOString(),
+    ...inferred.turn,
+  };
+
+  player.score += turn.score;
+  turn.totalScore = player.score;
+  session.turns.push(turn);
+  session.board = next;
+  session.updatedAt = turn.createdAt;
+  return { ok: true, turn };
+}
+
+function describeScores(session) {
+  return session.players.map((player) => ({ name: player.name, score: player.score }));
+}
+
+module.exports = {
+  createGame,
+  createSessionStore,
+  describeScores,
+  recordTurn,
+};
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SESSIONS_DIR = path.join(__dirname, '..', '..', 'data', 'sessions');
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// One JSON file per game session. Writes go to a temporary file first so a crash
+// never leaves half a session behind.
+function createSessionStore({ directory = DEFAULT_SESSIONS_DIR } = {}) {
+  function sessionPath(id) {
+    return path.join(directory, `${id}.json`);
+  }
+
+  return {
+    newId() {
+      return crypto.randomUUID();
+    },
+    get(id) {
+      if (typeof id !== 'string' || !SESSION_ID_PATTERN.test(id)) {
+        return null;
+      }
+      try {
+        return JSON.parse(fs.readFileSync(sessionPath(id), 'utf-8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    save(session) {
+      fs.mkdirSync(directory, { recursive: true });
+      const temporaryPath = `${sessionPath(session.id)}.${process.pid}.tmp`;
+      fs.writeFileSync(temporaryPath, JSON.stringify(session, null, 2));
+      fs.renameSync(temporaryPath, sessionPath(session.id));
+    },
+  };
+}
+
+module.exports = {
+  createSessionStore,
+};
@@ -0,0 +1,155 @@
+const { scorePlacement } = require('../solvers');
+
+function blankKeys(board) {
+  return new Set((board.blanks || []).map((blank) => `${blank.row},${blank.col}`));
+}
+
+function hasTile(tiles, row, col) {
+  return Boolean(tiles[row] && tiles[row][col]);
+}
+
+// Compares two consecutive boards cell by cell. Tiles that appeared are this
+// turn's placement; tiles that vanished or changed letter point at a misread
+// screenshot.
+function diffBoards(previous, next) {
+  const nextBlanks = blankKeys(next);
+  const placed = [];
+  const warnings = [];
+  for (let row = 0; row < next.tiles.length; row += 1) {
+    for (let col = 0; col < next.tiles[row].length; col += 1) {
+      const before = previous.tiles[row][col];
+      const after = next.tiles[row][col];
+      if (before === null && after !== null) {
+        placed.push({ row, col, letter: after, isBlank: nextBlanks.has(`${row},${col}`) });
+      } else if (before !== null && after === null) {
+        warnings.push({
+          code: 'TILE_REMOVED',
+          message: `The ${before} at row ${row}, column ${col} is missing from the new board.`,
+          details: { row, col, letter: before },
+        });
+      } else if (before !== after) {
+        warnings.push({
+          code: 'TILE_CHANGED',
+          message: `The ${before} at row ${row}, column ${col} reads as ${after} on the new board.`,
+          details: { row, col, before, after },
+        });
+      }
+    }
+  }
+  return { placed, warnings };
+}
+
+// A single new tile is read along the line where it touches other tiles.
+function placementDirection(placed, tiles) {
+  const rows = new Set(placed.map((tile) => tile.row));
+  const cols = new Set(placed.map((tile) => tile.col));
+  if (placed.length === 1) {
+    const { row, col } = placed[0];
+    return hasTile(tiles, row, col - 1) || hasTile(tiles, row, col + 1) ? 'ACROSS' : 'DOWN';
+  }
+  if (rows.size === 1) {
+    return 'ACROSS';
+  }
+  return cols.size === 1 ? 'DOWN' : null;
+}
+
+function isBoardEmpty(tiles) {
+  return tiles.every((row) => row.every((cell) => cell === null));
+}
+
+function unknownTurn(placed, warning) {
+  return { ok: true, turn: { type: 'unknown', score: 0, tiles: placed, warnings: [warning] } };
+}
+
+// Infers the move that turned `previous` into `next` ({ tiles, blanks } boards)
+// and scores it like a generated move: premium squares for the new tiles only,
+// cross-words and the bingo bonus included, blanks worth 0. A new board that
+// lost or changed tiles of the previous one is rejected, since accepting it
+// would bring those tiles back as a new move later.
+function inferTurn(previous, next, { squares, bingoBonus, tileValues, dictionary }) {
+  const { placed, warnings } = diffBoards(previous, next);
+  if (warnings.length > 0) {
+    return {
+      ok: false,
+      error: {
+        code: 'BOARD_MISMATCH',
+        message: 'The new board does not keep every tile of the previous one; it may be misread.',
+        details: { warnings },
+      },
+    };
+  }
+  if (placed.length === 0) {
+    return { ok: true, turn: { type: 'pass', score: 0, tiles: [], warnings: [] } };
+  }
+
+  const direction = placementDirection(placed, next.tiles);
+  if (!direction) {
+    return unknownTurn(placed, {
+      code: 'TILES_NOT_IN_LINE',
+      message: 'The new tiles are not in one row or column; a turn may have been skipped.',
+      details: { tiles: placed },
+    });
+  }
+
+  const move = scorePlacement(previous.tiles, placed, direction, {
+    squares,
+    bingoBonus,
+    tileValues,
+    blanks: blankKeys(previous),
+  });
+  // scorePlacement reads the word through the first new tile; a gap leaves others out.
+  const start = direction === 'ACROSS' ? move.col : move.row;
+  const isConnected = placed.every((tile) => {
+    const position = direction === 'ACROSS' ? tile.col : tile.row;
+    return position >= start && position < start + move.word.length;
+  });
+  if (!isConnected) {
+    return unknownTurn(placed, {
+      code: 'TILES_NOT_CONNECTED',
+      message: 'The new tiles do not form a single word; a turn may have been skipped.',
+      details: { tiles: placed },
+    });
+  }
+  if (move.word.length < 2) {
+    return unknownTurn(placed, {
+      code: 'SINGLE_LETTER_WORD',
+      message: 'The new tile does not form a word of two or more letters.',
+      details: { tiles: placed },
+    });
+  }
+
+  if (isBoardEmpty(previous.tiles)) {
+    const center = Math.floor(next.tiles.length / 2);
+    if (!placed.some((tile) => tile.row === center && tile.col === center)) {
+      return unknownTurn(placed, {
+        code: 'CENTER_NOT_COVERED',
+        message: 'The first move does not cover the center square.',
+        details: { tiles: placed, center: { row: center, col: center } },
+      });
+    }
+  } else if (move.word.length === placed.length && move.crossWords.length === 0) {
+    // Every letter of the word is new and no cross-word formed: nothing touches the board.
+    return unknownTurn(placed, {
+      code: 'TILES_NOT_ATTACHED',
+      message: 'The new tiles do not touch any tile already on the board.',
+      details: { tiles: placed },
+    });
+  }
+
+  const wordWarnings = [move.word, ...move.crossWords.map((crossWord) => crossWord.word)]
+    .filter((word) => word.length >= 2 && dictionary && !dictionary.has(word))
+    .map((word) => ({
+      code: 'WORD_NOT_IN_DICTIONARY',
+      message: `${word} is not in the ${dictionary.name} dictionary.`,
+      details: { word },
+    }));
+
+  return {
+    ok: true,
+    turn: { type: 'play', direction, ...move, tiles: placed, warnings: wordWarnings },
+  };
+}
+
+module.exports = {
+  inferTurn,
+};
@@ -0,0 +1,9 @@
+const { solveWordscapes } = require('./wordscapes');
+const { findRackWords, generateScrabbleMoves, scorePlacement } = require('./scrabble');
+
+module.exports = {
+  solveWordscapes,
+  findRackWords,
+  generateScrabbleMoves,
+  scorePlacement,
+};
@@ -0,0 +1,493 @@
+const { getScrabblePoints } = require('../boardState/scrabble');
+const { getPremiumLayout, getSquareMultipliers } = require('../boardState/premiumSquares');
+const { getTileValues } = require('../boardState/tileValues');
+const { hasWord } = require('../dictionary/trie');
+
+const BOARD_SIZE = 15;
+const CENTER = 7;
+const RACK_SIZE = 7;
+const DIRECTIONS = ['ACROSS', 'DOWN'];
+const DEFAULT_MOVE_LIMIT = 50;
+// A game has two blanks; racks read with more would multiply the search by 26 per extra blank.
+const MAX_RACK_BLANKS = 2;
+// Roughly a second of search; a rack with two blanks can otherwise take several.
+const DEFAULT_MAX_EXPANSIONS = 300000;
+
+function getMaxExpansions() {
+  const value = Number(process.env.SCRABBLE_MAX_EXPANSIONS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_EXPANSIONS;
+}
+
+function toCoords(direction, line, pos) {
+  return direction === 'ACROSS' ? { row: line, col: pos } : { row: pos, col: line };
+}
+
+function getCell(tiles, direction, line, pos) {
+  if (line < 0 || line >= BOARD_SIZE || pos < 0 || pos >= BOARD_SIZE) {
+    return null;
+  }
+  const { row, col } = toCoords(direction, line, pos);
+  return tiles[row][col];
+}
+
+function isBoardEmpty(tiles) {
+  return tiles.every((row) => row.every((cell) => cell === null));
+}
+
+function readRun(getLetter, from, step) {
+  let letters = '';
+  for (let pos = from; ; pos += step) {
+    const letter = getLetter(pos);
+    if (letter === null) {
+      break;
+    }
+    letters = step < 0 ? letter + letters : letters + letter;
+  }
+  return letters;
+}
+
+// For every empty square, the letters that keep the perpendicular word valid.
+// null means there is no perpendicular neighbour, so any letter fits.
+function computeCrossChecks(tiles, direction, trie) {
+  const checks = [];
+  for (let line = 0; line < BOARD_SIZE; line += 1) {
+    const lineChecks = [];
+    for (let pos = 0; pos < BOARD_SIZE; pos += 1) {
+      if (getCell(tiles, direction, line, pos) !== null) {
+        lineChecks.push(null);
+        continue;
+      }
+      const getLetter = (crossLine) => getCell(tiles, direction, crossLine, pos);
+      const before = readRun(getLetter, line - 1, -1);
+      const after = readRun(getLetter, line + 1, 1);
+      if (!before && !after) {
+        lineChecks.push(null);
+        continue;
+      }
+      const allowed = new Set();
+      for (const letter of Object.keys(trie.children)) {
+        if (hasWord(trie, `${before}${letter}${after}`)) {
+          allowed.add(letter);
+        }
+      }
+      lineChecks.push(allowed);
+    }
+    checks.push(lineChecks);
+  }
+  return checks;
+}
+
+function buildRackCounts(rack) {
+  const letters = new Map();
+  let blanks = 0;
+  let size = 0;
+  for (const tile of rack) {
+    if (!tile) {
+      continue;
+    }
+    size += 1;
+    if (tile.isBlank || typeof tile.letter !== 'string') {
+      blanks += 1;
+      continue;
+    }
+    letters.set(tile.letter, (letters.get(tile.letter) || 0) + 1);
+  }
+  return { letters, blanks, size };
+}
+
+// Premium squares only count for tiles placed this turn.
+function scoreWord(cells, { squares, tileValues }) {
+  let sum = 0;
+  let wordMultiplier = 1;
+  for (const cell of cells) {
+    const points = getScrabblePoints(cell.letter, cell.isBlank, tileValues) || 0;
+    if (!cell.isNew) {
+      sum += points;
+      continue;
+    }
+    const multipliers = getSquareMultipliers(squares, cell.row, cell.col);
+    sum += points * multipliers.letter;
+    wordMultiplier *= multipliers.word;
+  }
+  return sum * wordMultiplier;
+}
+
+function createCellReader(tiles, placed, scoring) {
+  const placedByKey = new Map(placed.map((tile) => [`${tile.row},${tile.col}`, tile]));
+  const boardBlanks = scoring.blanks || new Set();
+  return (row, col) => {
+    if (row < 0 || row >= BOARD_SIZE || col < 0 || col >= BOARD_SIZE) {
+      return null;
+    }
+    const placedTile = placedByKey.get(`${row},${col}`);
+    if (placedTile) {
+      return { ...placedTile, isNew: true };
+    }
+    const letter = tiles[row][col];
+    if (letter === null) {
+      return null;
+    }
+    return { row, col, letter, isBlank: boardBlanks.has(`${row},${col}`), isNew: false };
+  };
+}
+
+function collectWord(readCell, origin, stepRow, stepCol) {
+  let row = origin.row;
+  let col = origin.col;
+  while (readCell(row - stepRow, col - stepCol)) {
+    row -= stepRow;
+    col -= stepCol;
+  }
+  const cells = [];
+  for (let cell = readCell(row, col); cell; cell = readCell(row, col)) {
+    cells.push(cell);
+    row += stepRow;
+    col += stepCol;
+  }
+  return cells;
+}
+
+// Yields the main word's cells and each cross-word's cells (two or more letters).
+function readPlacement(tiles, placed, direction, scoring) {
+  const readCell = createCellReader(tiles, placed, scoring);
+  const [mainStepRow, mainStepCol] = direction === 'ACROSS' ? [0, 1] : [1, 0];
+  const mainCells = collectWord(readCell, placed[0], mainStepRow, mainStepCol);
+  const crossCells = placed
+    .map((tile) => collectWord(readCell, tile, mainStepCol, mainStepRow))
+    .filter((cells) => cells.length >= 2);
+  return { mainCells, crossCells };
+}
+
+// Just what compareMoves needs, so moves that are not returned skip the details.
+function rankPlacement(tiles, placed, direction, scoring) {
+  const { mainCells, crossCells } = readPlacement(tiles, placed, direction, scoring);
+  let score =
+    scoreWord(mainCells, scoring) + (placed.length === RACK_SIZE ? scoring.bingoBonus : 0);
+  for (const cells of crossCells) {
+    score += scoreWord(cells, scoring);
+  }
+  return {
+    word: mainCells.map((cell) => cell.letter).join(''),
+    row: mainCells[0].row,
+    col: mainCells[0].col,
+    score,
+  };
+}
+
+function scorePlacement(tiles, placed, direction, scoring) {
+  const { mainCells, crossCells } = readPlacement(tiles, placed, direction, scoring);
+  const mainScore = scoreWord(mainCells, scoring);
+  const crossWords = crossCells.map((cells) => ({
+    word: cells.map((cell) => cell.letter).join(''),
+    score: scoreWord(cells, scoring),
+  }));
+
+  const isBingo = placed.length === RACK_SIZE;
+  const score =
+    mainScore +
+    crossWords.reduce((sum, crossWord) => sum + crossWord.score, 0) +
+    (isBingo ? scoring.bingoBonus : 0);
+
+  return {
+    word: mainCells.map((cell) => cell.letter).join(''),
+    row: mainCells[0].row,
+    col: mainCells[0].col,
+    score,
+    crossWords,
+    isBingo,
+  };
+}
+
+function generateLineMoves({
+  tiles,
+  direction,
+  line,
+  crossChecks,
+  trie,
+  rack,
+  boardEmpty,
+  record,
+  budget,
+}) {
+  const isConnector = (pos) => {
+    if (boardEmpty) {
+      return line === CENTER && pos === CENTER;
+    }
+    return getCell(tiles, direction, line, pos) !== null || crossChecks[line][pos] !== null;
+  };
+
+  const extend = (pos, node, word, placed, connected) => {
+    if (budget.remaining === 0) {
+      budget.exhausted = true;
+      return;
+    }
+    budget.remaining -= 1;
+    const cell = getCell(tiles, direction, line, pos);
+    if (cell !== null) {
+      const child = node.children[cell];
+      if (child) {
+        extend(pos + 1, child, word + cell, placed, true);
+      }
+      return;
+    }
+
+    if (node.isWord && placed.length > 0 && connected && word.length >= 2) {
+      record(placed);
+    }
+
+    if (pos >= BOARD_SIZE) {
+      return;
+    }
+
+    const allowed = crossChecks[line][pos];
+    const squareConnects = connected || isConnector(pos);
+    const coords = toCoords(direction, line, pos);
+
+    for (const [letter, count] of rack.letters) {
+      const child = node.children[letter];
+      if (count === 0 || !child || (allowed && !allowed.has(letter))) {
+        continue;
+      }
+      rack.letters.set(letter, count - 1);
+      placed.push({ ...coords, letter, isBlank: false });
+      extend(pos + 1, child, word + letter, placed, squareConnects);
+      placed.pop();
+      rack.letters.set(letter, count);
+    }
+
+    if (rack.blanks > 0) {
+      rack.blanks -= 1;
+      for (const [letter, child] of Object.entries(node.children)) {
+        if (allowed && !allowed.has(letter)) {
+          continue;
+        }
+        placed.push({ ...coords, letter, isBlank: true });
+        extend(pos + 1, child, word + letter, placed, squareConnects);
+        placed.pop();
+      }
+      rack.blanks += 1;
+    }
+  };
+
+  for (let start = 0; start < BOARD_SIZE; start += 1) {
+    if (getCell(tiles, direction, line, start - 1) !== null) {
+      continue;
+    }
+
+    // Skip starts that cannot reach a connecting square with the tiles in the rack.
+    let emptySquares = 0;
+    let reachable = false;
+    for (let pos = start; pos < BOARD_SIZE && emptySquares < rack.size; pos += 1) {
+      if (isConnector(pos)) {
+        reachable = true;
+        break;
+      }
+      if (getCell(tiles, direction, line, pos) === null) {
+        emptySquares += 1;
+      }
+    }
+    if (!reachable) {
+      continue;
+    }
+
+    extend(start, trie, '', [], false);
+  }
+}
+
+function compareMoves(a, b) {
+  return (
+    b.score - a.score ||
+    b.tiles.length - a.tiles.length ||
+    a.word.localeCompare(b.word) ||
+    a.row - b.row ||
+    a.col - b.col
+  );
+}
+
+// Search stops after `maxExpansions` steps; `truncated` then says some moves may
+// be missing, as it does when blanks beyond MAX_RACK_BLANKS were left out.
+function generateScrabbleMoves(
+  board,
+  dictionary,
+  { limit = DEFAULT_MOVE_LIMIT, maxExpansions = getMaxExpansions() } = {},
+) {
+  const tiles = board.board.tiles;
+  const layout = board.board.layout || getPremiumLayout();
+  const scoring = {
+    squares: layout.squares,
+    bingoBonus: layout.bingoBonus,
+    tileValues: board.tileValues || getTileValues(),
+    // Blanks already on the board score 0 in every word they are part of.
+    blanks: new Set((board.board.blanks || []).map((blank) => `${blank.row},${blank.col}`)),
+  };
+  const trie = dictionary.getTrie();
+  const rack = buildRackCounts(board.rack || []);
+  const ignoredBlanks = Math.max(0, rack.blanks - MAX_RACK_BLANKS);
+  rack.blanks -= ignoredBlanks;
+  rack.size -= ignoredBlanks;
+  const boardEmpty = isBoardEmpty(tiles);
+  const budget = { remaining: maxExpansions, exhausted: false };
+
+  const seen = new Set();
+  const best = [];
+  let totalMoves = 0;
+
+  for (const direction of DIRECTIONS) {
+    const crossChecks = computeCrossChecks(tiles, direction, trie);
+    const record = (placed) => {
+      // A single tile can be found in both directions; keep the first copy.
+      if (placed.length === 1) {
+        const [tile] = placed;
+        const key = `${tile.row},${tile.col},${tile.letter},${tile.isBlank ? 1 : 0}`;
+        if (seen.has(key)) {
+          return;
+        }
+        seen.add(key);
+      }
+      totalMoves += 1;
+      const candidate = {
+        direction,
+        ...rankPlacement(tiles, placed, direction, scoring),
+        tiles: placed,
+      };
+      if (best.length === limit && compareMoves(candidate, best[best.length - 1]) >= 0) {
+        return;
+      }
+      // Insert after any equal moves so earlier finds stay first.
+      let low = 0;
+      let high = best.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (compareMoves(candidate, best[middle]) < 0) {
+          high = middle;
+        } else {
+          low = middle + 1;
+        }
+      }
+      best.splice(low, 0, { ...candidate, tiles: placed.map((tile) => ({ ...tile })) });
+      if (best.length > limit) {
+        best.pop();
+      }
+    };
+
+    for (let line = 0; line < BOARD_SIZE && !budget.exhausted; line += 1) {
+      generateLineMoves({
+        tiles,
+        direction,
+        line,
+        crossChecks,
+        trie,
+        rack,
+        boardEmpty,
+        record,
+        budget,
+      });
+    }
+  }
+
+  return {
+    dictionary: dictionary.name,
+    totalMoves,
+    truncated: budget.exhausted || ignoredBlanks > 0,
+    moves: best.map((move) => ({
+      direction: move.direction,
+      ...scorePlacement(tiles, move.tiles, move.direction, scoring),
+      tiles: move.tiles,
+    })),
+  };
+}
+
+// Every dictionary word the rack can spell on its own. Blanks try every letter;
+// for each word the spelling that leaves blanks on the cheapest letters is kept.
+function findRackWords(
+  rack,
+  dictionary,
+  { tileValues = getTileValues(), bingoBonus = getPremiumLayout().bingoBonus, minLength = 2 } = {},
+) {
+  const counts = buildRackCounts(rack);
+  const found = new Map();
+
+  const record = (placed) => {
+    const word = placed.map((tile) => tile.letter).join('');
+    const score = placed.reduce(
+      (sum, tile) => sum + (getScrabblePoints(tile.letter, tile.isBlank, tileValues) || 0),
+      0,
+    );
+    const existing = found.get(word);
+    if (existing && existing.score >= score) {
+      return;
+    }
+    found.set(word, {
+      word,
+      score,
+      isBingo: placed.length === RACK_SIZE,
+      blanks: placed
+        .map((tile, index) => (tile.isBlank ? { index, letter: tile.letter } : null))
+        .filter(Boolean),
+    });
+  };
+
+  const walk = (node, placed) => {
+    if (node.isWord && placed.length >= minLength) {
+      record(placed);
+    }
+    for (const [letter, count] of counts.letters) {
+      const child = node.children[letter];
+      if (count === 0 || !child) {
+        continue;
+      }
+      counts.letters.set(letter, count - 1);
+      placed.push({ letter, isBlank: false });
+      walk(child, placed);
+      placed.pop();
+      counts.letters.set(letter, count);
+    }
+    if (counts.blanks > 0) {
+      counts.blanks -= 1;
+      for (const [letter, child] of Object.entries(node.children)) {
+        placed.push({ letter, isBlank: true });
+        walk(child, placed);
+        placed.pop();
+      }
+      counts.blanks += 1;
+    }
+  };
+  walk(dictionary.getTrie(), []);
+
+  const words = [...found.values()].sort(
+    (a, b) => b.score - a.score || b.word.length - a.word.length || a.word.localeCompare(b.word),
+  );
+  const byLength = new Map();
+  for (const entry of words) {
+    if (!byLength.has(entry.word.length)) {
+      byLength.set(entry.word.length, []);
+    }
+    byLength.get(entry.word.length).push(entry);
+  }
+
+  // The bingo bonus only decides which word is best; `score` stays the face value.
+  const best = words.reduce(
+    (top, entry) =>
+      !top ||
+      entry.score + (entry.isBingo ? bingoBonus : 0) > top.score + (top.isBingo ? bingoBonus : 0)
+        ? entry
+        : top,
+    null,
+  );
+
+  return {
+    dictionary: dictionary.name,
+    totalWords: words.length,
+    bingos: words.filter((entry) => entry.isBingo).map((entry) => entry.word),
+    best,
+    wordsByLength: [...byLength.entries()]
+      .sort((a, b) => b[0] - a[0])
+      .map(([length, entries]) => ({ length, words: entries })),
+  };
+}
+
+module.exports = {
+  findRackWords,
+  generateScrabbleMoves,
+  scorePlacement,
+};
@@ -0,0 +1,135 @@
+const { findAnagrams } = require('../dictionary');
+
+function collectSolvedWords(board) {
+  const solved = new Set();
+  for (const entry of board.solvedWordsByLength || []) {
+    for (const word of entry.words) {
+      solved.add(word);
+    }
+  }
+  return solved;
+}
+
+function matchesKnownLetters(word, letters) {
+  return letters.every((letter, index) => letter === null || word[index] === letter);
+}
+
+function slotCellKey(slot, index) {
+  const row = slot.direction === 'DOWN' ? slot.row + index : slot.row;
+  const col = slot.direction === 'ACROSS' ? slot.col + index : slot.col;
+  return `${row},${col}`;
+}
+
+// Drops candidates whose letter at a crossing cannot be matched by any candidate
+// of the crossing slot, repeating until nothing changes.
+function narrowByCrossings(openSlots) {
+  const crossings = new Map();
+  openSlots.forEach((slot, slotIndex) => {
+    slot.letters.forEach((letter, position) => {
+      if (letter !== null) {
+        return;
+      }
+      const key = slotCellKey(slot, position);
+      if (!crossings.has(key)) {
+        crossings.set(key, []);
+      }
+      crossings.get(key).push({ slotIndex, position });
+    });
+  });
+
+  const sharedCells = Array.from(crossings.values()).filter((entries) => entries.length > 1);
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const entries of sharedCells) {
+      for (const target of entries) {
+        for (const other of entries) {
+          if (other === target) {
+            continue;
+          }
+          const allowed = new Set(
+            openSlots[other.slotIndex].words.map((word) => word[other.position]),
+          );
+          const slot = openSlots[target.slotIndex];
+          const narrowed = slot.words.filter((word) => allowed.has(word[target.position]));
+          if (narrowed.length !== slot.words.length) {
+            slot.words = narrowed;
+            changed = true;
+          }
+        }
+      }
+    }
+  }
+}
+
+function solveGridSlots(board, wheelWords, solvedWords) {
+  const openSlots = board.slots
+    .filter((slot) => !slot.solved)
+    .map((slot) => ({
+      ...slot,
+      words: wheelWords.filter(
+        (word) =>
+          word.length === slot.length &&
+          !solvedWords.has(word) &&
+          matchesKnownLetters(word, slot.letters),
+      ),
+    }));
+
+  narrowByCrossings(openSlots);
+
+  return openSlots.map((slot) => ({
+    row: slot.row,
+    col: slot.col,
+    direction: slot.direction,
+    length: slot.length,
+    pattern: slot.letters.map((letter) => letter || '?').join(''),
+    words: slot.words.slice().sort(),
+  }));
+}
+
+function solveWordscapes(board, dictionary) {
+  const solvedWords = collectSolvedWords(board);
+
+  // Sub-anagrams of the wheel use each letter at most as often as it appears.
+  const wheelWords = findAnagrams(dictionary, board.letters, { sub: true });
+
+  // Grid boards narrow each slot by its revealed letters and crossings.
+  const candidatesBySlot = Array.isArray(board.slots)
+    ? solveGridSlots(board, wheelWords, solvedWords)
+    : null;
+
+  // Lengths with a known count of zero are complete, so there is nothing to suggest.
+  const openSlots = board.missingByLength.filter((slot) => slot.count !== 0);
+  const grouped = new Map(openSlots.map((slot) => [slot.length, new Set()]));
+
+  const sources = candidatesBySlot
+    ? candidatesBySlot.flatMap((slot) => slot.words)
+    : wheelWords.filter((word) => !solvedWords.has(word));
+  for (const word of sources) {
+    if (grouped.has(word.length)) {
+      grouped.get(word.length).add(word);
+    }
+  }
+
+  let totalCandidates = 0;
+  const candidatesByLength = openSlots.map((slot) => {
+    const candidates = Array.from(grouped.get(slot.length)).sort();
+    totalCandidates += candidates.length;
+    return {
+      length: slot.length,
+      missingCount: slot.count,
+      words: candidates,
+    };
+  });
+
+  return {
+    dictionary: dictionary.name,
+    candidatesByLength,
+    totalCandidates,
+    ...(candidatesBySlot ? { candidatesBySlot } : {}),
+  };
+}
+
+module.exports = {
+  solveWordscapes,
+};
@@ -0,0 +1,91 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const sharp = require('sharp');
+
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { readImageFixture, readResponse, useApp } = require('./helpers/app');
+
+const app = useApp();
+
+function parseScreenshots(parts, fields = {}) {
+  const form = new FormData();
+  for (const { data, type, name } of parts) {
+    form.append('image', new Blob([data], { type }), name);
+  }
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value);
+  }
+  return fetch(`${app.baseUrl}/board/parse-screenshots`, { method: 'POST', body: form }).then(
+    readResponse,
+  );
+}
+
+test('workers run at most `limit` at a time and results keep the input order', async () => {
+  let running = 0;
+  let maxRunning = 0;
+
+  const results = await mapWithConcurrency([30, 10, 20, 0, 5], 2, async (delay, index) => {
+    running += 1;
+    maxRunning = Math.max(maxRunning, running);
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    running -= 1;
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3, 4]);
+  assert.equal(maxRunning, 2);
+});
+
+test('each image gets its own result and failures do not fail the batch', async () => {
+  const unrecorded = await sharp({
+    create: { width: 8, height: 8, channels: 3, background: { r: 0, g: 0, b: 0 } },
+  })
+    .png()
+    .toBuffer();
+
+  const { status, body } = await parseScreenshots(
+    [
+      { data: readImageFixture('scrabble-board.png'), type: 'image/png', name: 'scrabble.png' },
+      { data: Buffer.from('hello'), type: 'text/plain', name: 'notes.txt' },
+      { data: unrecorded, type: 'image/png', name: 'unknown.png' },
+      { data: readImageFixture('wordscapes-board.png'), type: 'image/png', name: 'level.png' },
+    ],
+    { game: 'AUTO' },
+  );
+
+  assert.equal(status, 200);
+  assert.equal(body.total, 4);
+  assert.equal(body.okCount, 2);
+  assert.equal(body.errorCount, 2);
+  assert.deepEqual(
+    body.results.map((result) => [result.index, result.fileName, result.ok]),
+    [
+      [0, 'scrabble.png', true],
+      [1, 'notes.txt', false],
+      [2, 'unknown.png', false],
+      [3, 'level.png', true],
+    ],
+  );
+  assert.equal(body.results[0].board.game, 'SCRABBLE');
+  assert.equal(body.results[0].summary.rack, 'ERSTAND');
+  assert.equal(body.results[1].error.code, 'INVALID_IMAGE');
+  assert.equal(body.results[2].error.code, 'EXTRACTION_ERROR');
+  assert.equal(body.results[3].board.game, 'WORDSCAPES');
+});
+
+test('invalid shared options reject the whole batch', async () => {
+  const { status, body } = await parseScreenshots(
+    [{ data: readImageFixture('scrabble-board.png'), type: 'image/png', name: 'a.png' }],
+    { layout: 'BOGGLE' },
+  );
+
+  assert.equal(status, 400);
+  assert.equal(body.error.code, 'INVALID_LAYOUT');
+});
+
+test('batches without images are rejected', async () => {
+  const { status, body } = await parseScreenshots([], { game: 'SCRABBLE' });
+
+  assert.equal(status, 400);
+  assert.equal(body.error.code, 'INVALID_IMAGE');
+});
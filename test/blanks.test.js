@@ -0,0 +1,57 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { parseBoardPayload } = require('../lib/boardState');
+const { createDictionary } = require('../lib/dictionary');
+const { generateScrabbleMoves } = require('../lib/solvers');
+
+function parseBoard(cells, extra = {}) {
+  const tiles = Array.from({ length: 15 }, () => new Array(15).fill(null));
+  cells.forEach((cell, index) => {
+    tiles[7][6 + index] = cell;
+  });
+  return parseBoardPayload({
+    schema: 'WORDVINDER_SCRABBLE_EXTRACT_V1',
+    game: 'SCRABBLE',
+    rack: [{ letter: 'S', isBlank: false }],
+    board: { size: 15, tiles, ...extra },
+    notes: [],
+  });
+}
+
+test('blanks are marked with isBlank and kept apart from the letters', () => {
+  const result = parseBoard(['C', { letter: 'a', isBlank: true }, 'T']);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.board.board.tiles[7].slice(6, 9), ['C', 'A', 'T']);
+  assert.deepEqual(result.board.board.blanks, [{ row: 7, col: 7, letter: 'A' }]);
+});
+
+test('lowercase letters are regular tiles', () => {
+  const result = parseBoard(['c', 'a', 't']);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.board.board.tiles[7].slice(6, 9), ['C', 'A', 'T']);
+  assert.deepEqual(result.board.board.blanks, []);
+});
+
+test('echoed blanks must point at placed tiles', () => {
+  const echoed = parseBoard(['C', 'A', 'T'], { blanks: [{ row: 7, col: 8 }] });
+  assert.deepEqual(echoed.board.board.blanks, [{ row: 7, col: 8, letter: 'T' }]);
+
+  const empty = parseBoard(['C', 'A', 'T'], { blanks: [{ row: 0, col: 0 }] });
+  assert.equal(empty.ok, false);
+  assert.equal(empty.error.code, 'MODEL_OUTPUT_SCHEMA_INVALID');
+});
+
+test('blanks on the board score 0 in the words they extend', () => {
+  const dictionary = createDictionary(['cat', 'cats'], { name: 'test' });
+  const plain = generateScrabbleMoves(parseBoard(['C', 'A', 'T']).board, dictionary);
+  const withBlank = generateScrabbleMoves(
+    parseBoard(['C', { letter: 'A', isBlank: true }, 'T']).board,
+    dictionary,
+  );
+
+  assert.equal(withBlank.moves[0].word, 'CATS');
+  assert.equal(plain.moves[0].score - withBlank.moves[0].score, 3);
+});
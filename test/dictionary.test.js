@@ -0,0 +1,69 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const {
+  createDictionary,
+  createDictionaryRegistry,
+  findAnagrams,
+  searchAnagrams,
+  searchPattern,
+} = require('../lib/dictionary');
+
+const dictionary = createDictionary(
+  ['act', 'at', 'cat', 'cats', 'coat', 'scat', 'ta', 'taco', 'quiz'],
+  { name: 'test' },
+);
+
+test('anagrams list longest words first, then alphabetically', () => {
+  assert.deepEqual(findAnagrams(dictionary, ['T', 'A', 'C']), ['ACT', 'CAT']);
+  assert.deepEqual(findAnagrams(dictionary, ['T', 'A', 'C'], { sub: true }), [
+    'ACT',
+    'CAT',
+    'AT',
+    'TA',
+  ]);
+});
+
+test('blanks stand for any letter in anagram searches', () => {
+  const result = searchAnagrams(dictionary, 'cat?');
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.results, ['CATS', 'COAT', 'SCAT', 'TACO']);
+});
+
+test('anagram searches reject letters outside A-Z and blanks', () => {
+  const result = searchAnagrams(dictionary, 'ca1');
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, 'INVALID_QUERY');
+});
+
+test('patterns match single letters with ? and runs of letters with *', () => {
+  assert.deepEqual(searchPattern(dictionary, 'c?t').results, ['CAT']);
+  assert.deepEqual(searchPattern(dictionary, '*at').results, ['AT', 'CAT', 'COAT', 'SCAT']);
+  assert.deepEqual(searchPattern(dictionary, 'c**t*').results, ['CAT', 'CATS', 'COAT']);
+  assert.deepEqual(searchPattern(dictionary, '_uiz').results, ['QUIZ']);
+});
+
+test('patterns longer than 15 characters are rejected', () => {
+  const result = searchPattern(dictionary, `${'?'.repeat(15)}*Q`);
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, 'INVALID_QUERY');
+});
+
+test('registries report the same word counts before and after a list is loaded', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dictionaries-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(directory, 'full.json'), JSON.stringify(['cat', 'act']));
+  fs.writeFileSync(path.join(directory, 'extra.json'), JSON.stringify(['at', 'AT', 'ta', 'a-b']));
+  const registry = createDictionaryRegistry(directory, { gameDefaults: { SCRABBLE: 'extra' } });
+
+  const expected = [
+    { name: 'extra', wordCount: 2, isDefault: false, defaultFor: ['SCRABBLE'] },
+    { name: 'full', wordCount: 2, isDefault: true, defaultFor: [] },
+  ];
+  assert.deepEqual(registry.list(), expected);
+  assert.equal(registry.get(undefined, 'SCRABBLE').size, 2);
+  assert.deepEqual(registry.list(), expected);
+});
@@ -0,0 +1,165 @@
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { after, before, test } = require('node:test');
+
+// The breaker is built when the client loads; the rest is read on every call.
+Object.assign(process.env, {
+  DIFY_API_KEY: 'test-key',
+  DIFY_RETRY_BASE_MS: '1',
+  DIFY_MAX_RETRIES: '2',
+  DIFY_CHAT_TIMEOUT_MS: '200',
+  DIFY_CIRCUIT_FAILURE_THRESHOLD: '2',
+  DIFY_CIRCUIT_RESET_MS: '60000',
+});
+
+const { createCircuitBreaker } = require('../lib/circuitBreaker');
+const { runImageChat, runMarcoPing } = require('../lib/difyClient');
+
+// Each request to the fake Dify server takes the next handler; the last one repeats.
+let handlers = [];
+let requests = [];
+let server;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const handler = handlers.length > 1 ? handlers.shift() : handlers[0];
+    req.resume();
+    req.on('end', () => handler(res));
+  });
+  server.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  process.env.DIFY_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function respondWith(...nextHandlers) {
+  handlers = nextHandlers;
+  requests = [];
+}
+
+function json(status, body, headers = {}) {
+  return (res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+}
+
+const answer = json(200, { answer: 'Polo' });
+
+function ping() {
+  return runMarcoPing({ requestContext: { ip: '127.0.0.1' } });
+}
+
+test('5xx responses are retried until one succeeds', async () => {
+  respondWith(json(503, {}), json(502, {}), answer);
+
+  const result = await ping();
+
+  assert.equal(result.modelText, 'Polo');
+  assert.equal(requests.length, 3);
+});
+
+test('429 responses wait for Retry-After before retrying', async () => {
+  respondWith(json(429, {}, { 'Retry-After': '0' }), answer);
+
+  assert.equal((await ping()).modelText, 'Polo');
+  assert.equal(requests.length, 2);
+});
+
+test('retries stop at DIFY_MAX_RETRIES and report the last status', async () => {
+  respondWith(json(500, { message: 'down' }));
+
+  await assert.rejects(ping(), (error) => {
+    assert.equal(error.code, 'DIFY_ERROR');
+    assert.deepEqual(error.details, {
+      operation: 'chat',
+      reason: 'server_error',
+      status: 500,
+      body: { message: 'down' },
+      attempts: 3,
+    });
+    return true;
+  });
+  assert.equal(requests.length, 3);
+});
+
+test('rejections are not retried', async () => {
+  respondWith(json(400, { message: 'bad query' }));
+
+  await assert.rejects(ping(), (error) => {
+    assert.equal(error.details.reason, 'rejected');
+    assert.equal(error.details.attempts, 1);
+    return true;
+  });
+  assert.equal(requests.length, 1);
+});
+
+test('slow responses time out', async () => {
+  respondWith((res) => setTimeout(() => answer(res), 1000));
+
+  await assert.rejects(ping(), (error) => {
+    assert.equal(error.code, 'DIFY_ERROR');
+    assert.deepEqual(error.details, {
+      operation: 'chat',
+      reason: 'timeout',
+      timeoutMs: 200,
+      attempts: 1,
+    });
+    return true;
+  });
+});
+
+test('failed calls in a row open the circuit, including errors inside a stream', async () => {
+  // A rejection counts as Dify being up, so the earlier timeout is forgotten.
+  respondWith(json(400, {}));
+  await assert.rejects(ping());
+
+  const streamError = (res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.end('data: {"event": "error", "status": 400, "message": "model failed"}\n\n');
+  };
+  respondWith(json(200, { id: 'file-1' }), streamError);
+  await assert.rejects(
+    runImageChat({
+      fileBuffer: Buffer.from('image'),
+      fileName: 'board.png',
+      mimeType: 'image/png',
+      requestContext: {},
+      query: 'SCRABBLE EXTRACT_BOARD_STATE_V1',
+      onProgress: () => {},
+    }),
+    (error) => error.code === 'DIFY_ERROR' && error.details.reason === 'stream_error',
+  );
+
+  respondWith(json(500, {}));
+  await assert.rejects(ping(), (error) => error.code === 'DIFY_ERROR');
+
+  respondWith(answer);
+  await assert.rejects(ping(), (error) => {
+    assert.equal(error.code, 'DIFY_UNAVAILABLE');
+    assert.equal(error.details.reason, 'circuit_open');
+    assert.ok(error.details.retryAfterMs > 0);
+    return true;
+  });
+  assert.equal(requests.length, 0);
+});
+
+test('an open circuit lets one trial call through once the reset time has passed', async () => {
+  const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 20 });
+  breaker.recordFailure();
+  assert.equal(breaker.getState(), 'OPEN');
+  assert.ok(breaker.check());
+
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(breaker.check(), null);
+  assert.ok(breaker.check(), 'a second call waits for the trial');
+
+  breaker.recordSuccess();
+  assert.equal(breaker.getState(), 'CLOSED');
+  assert.equal(breaker.check(), null);
+});
@@ -0,0 +1,86 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+
+const {
+  buildCacheKey,
+  createExtractionCache,
+  createFileCache,
+  createMemoryCache,
+} = require('../lib/extraction/cache');
+const { postImage, readImageFixture, useApp } = require('./helpers/app');
+
+const app = useApp({ EXTRACTION_CACHE: 'memory' });
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('keys follow the image bytes and the normalized query', () => {
+  const fileBuffer = Buffer.from('image');
+  const key = buildCacheKey({ fileBuffer, query: 'SCRABBLE  EXTRACT_BOARD_STATE_V1' });
+
+  assert.equal(key, buildCacheKey({ fileBuffer, query: ' SCRABBLE EXTRACT_BOARD_STATE_V1 ' }));
+  assert.notEqual(key, buildCacheKey({ fileBuffer: Buffer.from('other'), query: 'SCRABBLE' }));
+  assert.notEqual(
+    key,
+    buildCacheKey({ fileBuffer, query: 'SCRABBLE EXTRACT_BOARD_STATE_V1', variant: 'WWF' }),
+  );
+});
+
+test('the memory cache drops the least recently used entry and expired ones', async () => {
+  const cache = createMemoryCache({ ttlMs: 0, maxEntries: 2 });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+
+  assert.equal(cache.get('b'), null);
+  assert.equal(cache.get('a').value, 1);
+  assert.equal(cache.get('c').value, 3);
+
+  const expiring = createMemoryCache({ ttlMs: 10 });
+  expiring.set('a', 1);
+  await sleep(20);
+  assert.equal(expiring.get('a'), null);
+});
+
+test('the file cache keeps entries on disk up to its size limit', (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'extraction-cache-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const cache = createFileCache({ directory, maxEntries: 1 });
+  cache.set('a', { board: 1 });
+  assert.deepEqual(createFileCache({ directory }).get('a').value, { board: 1 });
+
+  // Writes in the same millisecond would tie on mtime, so age the first one.
+  fs.utimesSync(path.join(directory, 'a.json'), 0, 0);
+  cache.set('b', { board: 2 });
+  assert.deepEqual(fs.readdirSync(directory), ['b.json']);
+});
+
+test('EXTRACTION_CACHE picks the backend', () => {
+  assert.equal(createExtractionCache({}).backend, 'memory');
+  assert.equal(createExtractionCache({ EXTRACTION_CACHE: 'off' }), null);
+  assert.equal(createExtractionCache({ EXTRACTION_CACHE_MAX_ENTRIES: '0' }), null);
+  assert.throws(() => createExtractionCache({ EXTRACTION_CACHE: 'redis' }), /redis/);
+});
+
+test('re-uploads are served from the cache unless noCache is set', async () => {
+  const image = readImageFixture('scrabble-board.png');
+  const url = `${app.baseUrl}/board/parse-screenshot`;
+
+  const first = await postImage(url, image, { game: 'SCRABBLE', layout: 'WWF' });
+  const second = await postImage(url, image, { game: 'SCRABBLE', layout: 'WWF' });
+  const bypassed = await postImage(url, image, { game: 'SCRABBLE', layout: 'WWF', noCache: '1' });
+  const otherLayout = await postImage(url, image, { game: 'SCRABBLE' });
+
+  assert.deepEqual(first.body.cache, { hit: false });
+  assert.equal(second.body.cache.hit, true);
+  assert.ok(!Number.isNaN(Date.parse(second.body.cache.storedAt)));
+  assert.deepEqual(second.body.board, first.body.board);
+  assert.deepEqual(bypassed.body.cache, { hit: false });
+  assert.deepEqual(otherLayout.body.cache, { hit: false });
+});
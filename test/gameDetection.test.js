@@ -0,0 +1,89 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const {
+  normalizeGameMode,
+  parseGameClassification,
+  resolveDetectedGame,
+} = require('../lib/extraction/gameDetection');
+const { postImage, readImageFixture, useApp } = require('./helpers/app');
+
+// Requests that name no game use DEFAULT_GAME instead of classifying.
+const app = useApp({ DEFAULT_GAME: 'scrabble' });
+
+function parseScreenshot(image, fields) {
+  return postImage(`${app.baseUrl}/board/parse-screenshot`, readImageFixture(image), fields);
+}
+
+test('game modes are AUTO or a supported game', () => {
+  assert.equal(normalizeGameMode(' auto '), 'AUTO');
+  assert.equal(normalizeGameMode('scrabble'), 'SCRABBLE');
+  assert.equal(normalizeGameMode('CHESS'), null);
+  assert.equal(normalizeGameMode(''), null);
+});
+
+test('classifications are read leniently and anything unreadable is UNKNOWN', () => {
+  assert.deepEqual(
+    parseGameClassification(
+      '```json\n{"schema": "WORDVINDER_GAME_CLASSIFY_V1", "game": "scrabble", "confidence": 1.4}\n```',
+    ),
+    { game: 'SCRABBLE', confidence: 1 },
+  );
+
+  const unknown = { game: 'UNKNOWN', confidence: 0 };
+  assert.deepEqual(parseGameClassification('Looks like Scrabble.'), unknown);
+  assert.deepEqual(
+    parseGameClassification('{"schema": "OTHER", "game": "SCRABBLE", "confidence": 0.9}'),
+    unknown,
+  );
+  assert.deepEqual(
+    parseGameClassification(
+      '{"schema": "WORDVINDER_GAME_CLASSIFY_V1", "game": "CHESS", "confidence": 0.9}',
+    ),
+    unknown,
+  );
+});
+
+test('detections below GAME_DETECTION_MIN_CONFIDENCE fall back to Wordscapes', (t) => {
+  const classification = { game: 'SCRABBLE', confidence: 0.5 };
+  assert.equal(resolveDetectedGame(classification).game, 'WORDSCAPES');
+
+  process.env.GAME_DETECTION_MIN_CONFIDENCE = '0.4';
+  t.after(() => delete process.env.GAME_DETECTION_MIN_CONFIDENCE);
+  assert.deepEqual(resolveDetectedGame(classification), {
+    requested: 'AUTO',
+    detected: 'SCRABBLE',
+    confidence: 0.5,
+    game: 'SCRABBLE',
+  });
+});
+
+test('DEFAULT_GAME applies when the request names no game', async () => {
+  const { body } = await parseScreenshot('scrabble-board.png', {});
+
+  assert.deepEqual(body.detection, {
+    requested: 'SCRABBLE',
+    detected: null,
+    confidence: null,
+    game: 'SCRABBLE',
+  });
+});
+
+test('a game in the query wins over the game field', async () => {
+  const { status, body } = await parseScreenshot('wordscapes-board.png', {
+    game: 'AUTO',
+    query: 'wordscapes EXTRACT_BOARD_STATE_V4',
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.detection.requested, 'WORDSCAPES');
+  assert.equal(body.board.game, 'WORDSCAPES');
+});
+
+test('unknown games are rejected', async () => {
+  const { status, body } = await parseScreenshot('scrabble-board.png', { game: 'CHESS' });
+
+  assert.equal(status, 400);
+  assert.equal(body.error.code, 'INVALID_GAME');
+  assert.deepEqual(body.error.details.available, ['AUTO', 'WORDSCAPES', 'SCRABBLE']);
+});
@@ -0,0 +1,68 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { after, before, mock } = require('node:test');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+function readImageFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name));
+}
+
+// Starts the app on a free port for the calling test file. `env` is applied
+// before index.js loads, since some settings are read at startup. The routes
+// log every payload, so console output is muted while the tests run.
+function useApp(env = {}) {
+  const context = { baseUrl: null };
+  let server;
+
+  before(async () => {
+    for (const name of ['DEFAULT_GAME', 'EXTRACTION_FIXTURES_DIR', 'EXTRACTION_RECORD']) {
+      delete process.env[name];
+    }
+    Object.assign(process.env, { EXTRACTION_PROVIDER: 'mock', EXTRACTION_CACHE: 'off' }, env);
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    const app = require('../../index.js');
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    context.baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  return context;
+}
+
+async function readResponse(response) {
+  return { status: response.status, body: await response.json() };
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  });
+  return readResponse(response);
+}
+
+async function postImage(url, image, fields = {}) {
+  const form = new FormData();
+  form.append('image', new Blob([image], { type: 'image/png' }), 'board.png');
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value);
+  }
+  return readResponse(await fetch(url, { method: 'POST', body: form }));
+}
+
+module.exports = {
+  postImage,
+  postJson,
+  readImageFixture,
+  readResponse,
+  useApp,
+};
@@ -0,0 +1,79 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const sharp = require('sharp');
+
+const { preprocessImage } = require('../lib/imagePreprocessing');
+
+function createImage(width, height, format = 'png') {
+  return sharp({ create: { width, height, channels: 3, background: { r: 40, g: 90, b: 160 } } })
+    .toFormat(format)
+    .toBuffer();
+}
+
+test('images that need no changes pass through byte for byte', async () => {
+  const image = await createImage(100, 200);
+
+  const result = await preprocessImage(image, { mimeType: 'image/png' });
+
+  assert.equal(result.buffer, image);
+  assert.equal(result.mimeType, 'image/png');
+  assert.deepEqual(result.report.applied, []);
+  assert.deepEqual(result.report.original, result.report.output);
+});
+
+test('large screenshots are downscaled to IMAGE_MAX_DIMENSION', async (t) => {
+  process.env.IMAGE_MAX_DIMENSION = '100';
+  t.after(() => delete process.env.IMAGE_MAX_DIMENSION);
+
+  const result = await preprocessImage(await createImage(300, 600));
+
+  assert.deepEqual(result.report.applied, ['downscaled']);
+  assert.deepEqual([result.report.output.width, result.report.output.height], [50, 100]);
+});
+
+test('the status bar is cropped off portrait screenshots on request', async () => {
+  const portrait = await preprocessImage(await createImage(100, 200), { cropStatusBar: true });
+  assert.deepEqual(portrait.report.applied, ['cropped_status_bar']);
+  assert.equal(portrait.report.output.height, 190);
+
+  const landscape = await preprocessImage(await createImage(200, 100), { cropStatusBar: true });
+  assert.deepEqual(landscape.report.applied, []);
+});
+
+test('EXIF orientation is applied and the metadata dropped', async () => {
+  const image = await sharp(await createImage(100, 200))
+    .jpeg()
+    .withMetadata({ orientation: 6 })
+    .toBuffer();
+
+  const result = await preprocessImage(image, { mimeType: 'image/jpeg' });
+
+  assert.deepEqual(result.report.applied, ['auto_rotated', 'stripped_metadata']);
+  assert.deepEqual([result.report.output.width, result.report.output.height], [200, 100]);
+  assert.equal((await sharp(result.buffer).metadata()).orientation, undefined);
+});
+
+test('formats the providers do not take become JPEG', async () => {
+  const result = await preprocessImage(await createImage(20, 20, 'tiff'));
+
+  assert.deepEqual(result.report.applied, ['converted_format']);
+  assert.equal(result.report.original.format, 'tiff');
+  assert.equal(result.mimeType, 'image/jpeg');
+});
+
+test('undecodable images are invalid', async () => {
+  await assert.rejects(preprocessImage(Buffer.from('not an image')), {
+    code: 'INVALID_IMAGE',
+    message: 'Could not decode image.',
+  });
+
+  const brokenHeic = Buffer.concat([
+    Buffer.from([0, 0, 0, 24]),
+    Buffer.from('ftypheic'),
+    Buffer.alloc(16),
+  ]);
+  await assert.rejects(preprocessImage(brokenHeic), {
+    code: 'INVALID_IMAGE',
+    message: 'Could not decode HEIC image.',
+  });
+});
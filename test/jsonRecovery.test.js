@@ -0,0 +1,50 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { parseModelOutput } = require('../lib/boardState');
+const { recoverJson } = require('../lib/boardState/jsonRecovery');
+
+test('recovers an object from a fenced block with prose around it', () => {
+  const result = recoverJson('Here is the board:\n```json\n{"letters": ["A", "B",],}\n```\nDone.');
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.value, { letters: ['A', 'B'] });
+  assert.deepEqual(result.repairs, [
+    'Used the JSON inside a code fence and ignored the text around it.',
+    'Removed 2 trailing comma(s).',
+  ]);
+});
+
+test('straightens curly quotes and keeps commas inside strings', () => {
+  const result = recoverJson('{“note”: "a, }"}');
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.value, { note: 'a, }' });
+});
+
+test('gives up on text without an object', () => {
+  assert.equal(recoverJson('I could not read the board.').ok, false);
+});
+
+test('recovered boards note the repairs', () => {
+  const modelText = `Sure! {"schema": "WORDVINDER_BOARD_EXTRACT_V4", "game": "WORDSCAPES",
+    "letters": ["D", "I", "O", "R", "Y", "T"], "missingByLength": [], "solvedWordsByLength": [],
+    "notes": [],}`;
+
+  const result = parseModelOutput(modelText);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.board.letters, ['D', 'I', 'O', 'R', 'Y', 'T']);
+  assert.ok(result.recovery.strictError);
+  assert.deepEqual(result.board.notes, [
+    'Output recovery: Ignored text outside the largest JSON object.',
+    'Output recovery: Removed 1 trailing comma(s).',
+  ]);
+});
+
+test('recovery can be turned off', () => {
+  const result = parseModelOutput('{"schema": "WORDVINDER_BOARD_EXTRACT_V4",}', {
+    recover: false,
+  });
+  assert.equal(result.ok, false);
+});
@@ -0,0 +1,74 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { postImage, postJson, readImageFixture, useApp } = require('./helpers/app');
+
+const app = useApp();
+
+async function parseScrabbleScreenshot(fields = {}) {
+  const { body } = await postImage(
+    `${app.baseUrl}/board/parse-screenshot`,
+    readImageFixture('scrabble-board.png'),
+    { game: 'SCRABBLE', ...fields },
+  );
+  return body;
+}
+
+test('a parsed board sent back returns what parse-screenshot returned', async () => {
+  const parsed = await parseScrabbleScreenshot({ layout: 'WWF', solve: '1', limit: '3' });
+
+  const { status, body } = await postJson(`${app.baseUrl}/board/normalize`, {
+    board: parsed.board,
+    solve: true,
+    limit: 3,
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.board, parsed.board);
+  assert.equal(body.board.board.layout.name, 'WWF');
+  assert.deepEqual(body.solution, parsed.solution);
+});
+
+test('extraction options sent along with the board are ignored', async () => {
+  const parsed = await parseScrabbleScreenshot();
+
+  const { status, body } = await postJson(`${app.baseUrl}/board/normalize`, {
+    board: parsed.board,
+    prompt: 'v4.0.0',
+    query: 'WORDSCAPES EXTRACT_BOARD_STATE_V4',
+    game: 'WORDSCAPES',
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.board.game, 'SCRABBLE');
+});
+
+test('hand-typed Wordscapes boards get the parse-screenshot shape', async () => {
+  const { status, body } = await postJson(`${app.baseUrl}/board/normalize`, {
+    schema: 'WORDVINDER_BOARD_EXTRACT_V4',
+    game: 'WORDSCAPES',
+    letters: ['d', 'i', 'o', 'r', 'y', 't'],
+    missingByLength: [{ length: 4, count: 1 }],
+    solvedWordsByLength: [{ length: 4, words: ['DIRK'] }],
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.board.letters, ['D', 'I', 'O', 'R', 'Y', 'T']);
+  assert.equal(body.summary.totalRemaining, 1);
+  assert.equal(body.consistency.warnings[0].code, 'SOLVED_WORD_FOREIGN_LETTERS');
+  assert.deepEqual(
+    body.validation.words.map((word) => [word.word, word.valid]),
+    [['DIRK', true]],
+  );
+});
+
+test('boards that do not match their schema are rejected', async () => {
+  const { status, body } = await postJson(`${app.baseUrl}/board/normalize`, {
+    schema: 'WORDVINDER_BOARD_EXTRACT_V4',
+    game: 'WORDSCAPES',
+    letters: ['A'],
+  });
+
+  assert.equal(status, 400);
+  assert.equal(body.error.code, 'INVALID_BOARD');
+});
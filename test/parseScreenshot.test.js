@@ -0,0 +1,87 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { postImage, readImageFixture, useApp } = require('./helpers/app');
+
+// The mock provider replays the fixtures in data/fixtures/extraction for these images.
+const scrabbleImage = readImageFixture('scrabble-board.png');
+const wordscapesImage = readImageFixture('wordscapes-board.png');
+
+const app = useApp();
+
+function parseScreenshot(fields, image = scrabbleImage) {
+  return postImage(`${app.baseUrl}/board/parse-screenshot`, image, fields);
+}
+
+test('parses a Scrabble screenshot and solves it', async () => {
+  const { status, body } = await parseScreenshot({ game: 'SCRABBLE', solve: '1', limit: '5' });
+
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.equal(body.board.game, 'SCRABBLE');
+  assert.deepEqual(
+    body.board.rack.map((tile) => tile.letter),
+    ['E', 'R', 'S', 'T', 'A', 'N', 'D'],
+  );
+  assert.deepEqual(
+    body.validation.words.map((word) => [word.word, word.valid]),
+    [['CAT', true]],
+  );
+  assert.equal(body.analysis.ok, true);
+  assert.equal(body.unseenTiles.total, 100 - 3 - 7);
+  assert.equal(body.solution.moves.length, 5);
+  assert.ok(body.solution.totalMoves >= 5);
+  assert.equal(body.prompt.sent, false);
+  assert.deepEqual(body.preprocessing.applied, []);
+});
+
+test('a named game skips classification', async () => {
+  const { body } = await parseScreenshot({ game: 'SCRABBLE' });
+
+  assert.deepEqual(body.detection, {
+    requested: 'SCRABBLE',
+    detected: null,
+    confidence: null,
+    game: 'SCRABBLE',
+  });
+});
+
+test('classifies the screenshot when no game is named', async () => {
+  const { status, body } = await parseScreenshot({});
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.detection, {
+    requested: 'AUTO',
+    detected: 'SCRABBLE',
+    confidence: 0.92,
+    game: 'SCRABBLE',
+  });
+  assert.equal(body.board.game, 'SCRABBLE');
+});
+
+test('unsure classifications fall back to Wordscapes', async () => {
+  const { status, body } = await parseScreenshot({}, wordscapesImage);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.detection, {
+    requested: 'AUTO',
+    detected: 'SCRABBLE',
+    confidence: 0.3,
+    game: 'WORDSCAPES',
+  });
+  assert.equal(body.board.game, 'WORDSCAPES');
+});
+
+test('images without a recording fail as extraction errors', async () => {
+  const { data } = await require('sharp')({
+    create: { width: 8, height: 8, channels: 3, background: { r: 0, g: 0, b: 0 } },
+  })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  const { status, body } = await parseScreenshot({ game: 'SCRABBLE' }, data);
+
+  assert.equal(status, 502);
+  assert.equal(body.error.code, 'EXTRACTION_ERROR');
+  assert.match(body.error.details.imageHash, /^[0-9a-f]{64}$/);
+});
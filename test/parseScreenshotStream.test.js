@@ -0,0 +1,74 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { readImageFixture, useApp } = require('./helpers/app');
+
+const app = useApp();
+
+// Posts the form and splits the Server-Sent Events body into { event, data } pairs.
+async function streamScreenshot(image, fields = {}) {
+  const form = new FormData();
+  if (image) {
+    form.append('image', new Blob([image], { type: 'image/png' }), 'board.png');
+  }
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value);
+  }
+  const response = await fetch(`${app.baseUrl}/board/parse-screenshot/stream`, {
+    method: 'POST',
+    body: form,
+  });
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  const text = await response.text();
+  return text
+    .split('\n\n')
+    .filter(Boolean)
+    .map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      return {
+        event: eventLine.replace('event: ', ''),
+        data: JSON.parse(dataLine.replace('data: ', '')),
+      };
+    });
+}
+
+test('progress events arrive in order and end with the board', async () => {
+  const events = await streamScreenshot(readImageFixture('scrabble-board.png'), {
+    game: 'SCRABBLE',
+  });
+
+  assert.deepEqual(
+    events.map((entry) => entry.event),
+    ['preprocessed', 'detected', 'uploaded', 'model_started', 'tokens', 'parsed', 'board'],
+  );
+  const data = Object.fromEntries(events.map((entry) => [entry.event, entry.data]));
+  assert.deepEqual(data.parsed, {
+    schema: 'WORDVINDER_SCRABBLE_EXTRACT_V1',
+    game: 'SCRABBLE',
+    cached: false,
+  });
+  assert.equal(data.tokens.receivedChars, data.tokens.text.length);
+  assert.equal(data.board.ok, true);
+  assert.equal(data.board.board.game, 'SCRABBLE');
+  assert.equal(data.board.summary.rack, 'ERSTAND');
+});
+
+test('failures end the stream with an error event', async () => {
+  const missing = await streamScreenshot(null);
+  assert.deepEqual(
+    missing.map((entry) => entry.event),
+    ['error'],
+  );
+  assert.equal(missing[0].data.code, 'INVALID_IMAGE');
+
+  const { data } = await require('sharp')({
+    create: { width: 8, height: 8, channels: 3, background: { r: 0, g: 0, b: 0 } },
+  })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+  const unknown = await streamScreenshot(data, { game: 'SCRABBLE' });
+  const last = unknown[unknown.length - 1];
+  assert.equal(last.event, 'error');
+  assert.equal(last.data.code, 'EXTRACTION_ERROR');
+  assert.ok(last.data.message);
+});
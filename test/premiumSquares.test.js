@@ -0,0 +1,49 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { parseBoardPayload } = require('../lib/boardState');
+const { getPremiumLayout, getSquareMultipliers } = require('../lib/boardState/premiumSquares');
+
+function parseEmptyBoard(options) {
+  return parseBoardPayload(
+    {
+      schema: 'WORDVINDER_SCRABBLE_EXTRACT_V1',
+      game: 'SCRABBLE',
+      rack: [],
+      board: { size: 15, tiles: Array.from({ length: 15 }, () => new Array(15).fill(null)) },
+      notes: [],
+    },
+    options,
+  );
+}
+
+test('layouts are picked by name, case-insensitively', () => {
+  assert.equal(getPremiumLayout().name, 'SCRABBLE');
+  assert.equal(getPremiumLayout(' wwf ').name, 'WWF');
+  assert.equal(getPremiumLayout('BOGGLE'), null);
+});
+
+test('the center star doubles the word only on the classic board', () => {
+  const scrabble = getPremiumLayout('SCRABBLE').squares;
+  const wwf = getPremiumLayout('WWF').squares;
+
+  assert.deepEqual(getSquareMultipliers(scrabble, 7, 7), { letter: 1, word: 2 });
+  assert.deepEqual(getSquareMultipliers(wwf, 7, 7), { letter: 1, word: 1 });
+  assert.equal(scrabble[0][0], 'TW');
+  assert.equal(wwf[0][3], 'TW');
+  assert.equal(wwf[0][6], 'TL');
+});
+
+test('parsed boards echo the layout they were read with', () => {
+  const result = parseEmptyBoard({ layout: 'wwf' });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.board.board.layout, getPremiumLayout('WWF'));
+});
+
+test('unknown layouts are rejected', () => {
+  const result = parseEmptyBoard({ layout: 'BOGGLE' });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, 'INVALID_LAYOUT');
+});
@@ -0,0 +1,85 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { findPrompt, getPrompt } = require('../lib/extraction/prompts');
+const { postImage, readImageFixture, readResponse, useApp } = require('./helpers/app');
+
+const app = useApp();
+
+function parseScreenshot(image, fields) {
+  return postImage(`${app.baseUrl}/board/parse-screenshot`, readImageFixture(image), fields);
+}
+
+test('prompts are listed newest first with the schema each one asks for', async () => {
+  const { body } = await readResponse(await fetch(`${app.baseUrl}/prompts`));
+  const byId = Object.fromEntries(body.prompts.map((prompt) => [prompt.id, prompt]));
+
+  assert.equal(body.prompts[0].id, 'v5.0.0');
+  assert.deepEqual(byId['v4.0.0'], {
+    id: 'v4.0.0',
+    file: 'v4.0.0.md',
+    game: 'WORDSCAPES',
+    command: 'EXTRACT_BOARD_STATE_V4',
+    schema: 'WORDVINDER_BOARD_EXTRACT_V4',
+    version: '4.0.0',
+    parseable: true,
+  });
+  assert.equal(byId['v2.0.0'].parseable, false);
+  assert.equal(byId['scrabble-v1.1.0'].command, null);
+});
+
+test('lookups take file names and pick the newest prompt for a command', () => {
+  assert.equal(getPrompt(' V4.0.0.md ').id, 'v4.0.0');
+  assert.equal(getPrompt('v9.0.0'), null);
+  assert.equal(findPrompt({ game: 'WORDSCAPES', command: 'EXTRACT_BOARD_STATE_V4' }).id, 'v4.0.0');
+  assert.equal(
+    findPrompt({ game: 'SCRABBLE', command: 'EXTRACT_BOARD_STATE_V1' }).id,
+    'scrabble-v1.1.0',
+  );
+});
+
+test('responses report the prompt and whether the board matched its schema', async () => {
+  const { body } = await parseScreenshot('wordscapes-board.png', { game: 'WORDSCAPES' });
+
+  assert.deepEqual(body.prompt, {
+    id: 'v4.0.0',
+    file: 'v4.0.0.md',
+    game: 'WORDSCAPES',
+    command: 'EXTRACT_BOARD_STATE_V4',
+    schema: 'WORDVINDER_BOARD_EXTRACT_V4',
+    pinned: false,
+    sent: false,
+    receivedSchema: 'WORDVINDER_BOARD_EXTRACT_V4',
+    schemaMatches: true,
+  });
+});
+
+test('a board in another schema than the prompt asked for is flagged', async () => {
+  const { status, body } = await parseScreenshot('wordscapes-board.png', {
+    query: 'WORDSCAPES EXTRACT_BOARD_STATE_V5',
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.prompt.id, 'v5.0.0');
+  assert.equal(body.prompt.receivedSchema, 'WORDVINDER_BOARD_EXTRACT_V4');
+  assert.equal(body.prompt.schemaMatches, false);
+});
+
+test('pinned prompts must exist, parse, fit the game and be sendable', async () => {
+  const cases = [
+    [{ prompt: 'v9.0.0' }, 'Unknown prompt.'],
+    [{ prompt: 'v2.0.0' }, 'This prompt produces a schema the server cannot parse.'],
+    [{ prompt: 'v4.0.0', game: 'SCRABBLE' }, 'The prompt is for a different game.'],
+    [
+      { prompt: 'v4.0.0' },
+      'The extraction provider does not send prompts to the model, so a pinned prompt cannot be honored.',
+    ],
+  ];
+
+  for (const [fields, message] of cases) {
+    const { status, body } = await parseScreenshot('wordscapes-board.png', fields);
+    assert.equal(status, 400, message);
+    assert.equal(body.error.code, 'INVALID_PROMPT');
+    assert.equal(body.error.message, message);
+  }
+});
@@ -0,0 +1,91 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { getTileValues } = require('../lib/boardState/tileValues');
+const { createDictionary } = require('../lib/dictionary');
+const { findRackWords } = require('../lib/solvers');
+const { postJson, useApp } = require('./helpers/app');
+
+const app = useApp();
+const tileValues = getTileValues('SCRABBLE');
+const dictionary = createDictionary(['at', 'cat', 'cater', 'scatter', 'ta', 'teat', 'ze'], {
+  name: 'test',
+});
+
+function rackOf(letters) {
+  return letters
+    .split('')
+    .map((letter) =>
+      letter === '?' ? { letter: null, isBlank: true } : { letter, isBlank: false },
+    );
+}
+
+test('words are grouped by length and bingos are flagged', () => {
+  const result = findRackWords(rackOf('SCATTE?'), dictionary, { tileValues });
+
+  assert.equal(result.totalWords, 7);
+  assert.deepEqual(result.bingos, ['SCATTER']);
+  assert.deepEqual(result.best, {
+    word: 'SCATTER',
+    score: 8,
+    isBingo: true,
+    blanks: [{ index: 6, letter: 'R' }],
+  });
+  assert.deepEqual(
+    result.wordsByLength.map((group) => [group.length, group.words.map((entry) => entry.word)]),
+    [
+      [7, ['SCATTER']],
+      [5, ['CATER']],
+      [4, ['TEAT']],
+      [3, ['CAT']],
+      [2, ['AT', 'TA', 'ZE']],
+    ],
+  );
+});
+
+test('blanks are only used where the rack has no real tile', () => {
+  const result = findRackWords(rackOf('ZE?'), dictionary, { tileValues });
+
+  assert.deepEqual(result.best, { word: 'ZE', score: 11, isBingo: false, blanks: [] });
+});
+
+test('the route takes a rack string and scores it with the requested set', async () => {
+  const { status, body } = await postJson(`${app.baseUrl}/scrabble/rack-words`, {
+    rack: 'qu_',
+    tileValues: 'SCRABBLE',
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(
+    body.rack.map((tile) => [tile.letter, tile.isBlank, tile.points]),
+    [
+      ['Q', false, 10],
+      ['U', false, 1],
+      [null, true, 0],
+    ],
+  );
+  assert.equal(body.tileValues.name, 'SCRABBLE');
+  assert.equal(body.solution.dictionary, 'full');
+  assert.equal(body.solution.best.score, 11);
+});
+
+test('a parsed board can be sent instead of a rack', async () => {
+  const { status, body } = await postJson(`${app.baseUrl}/scrabble/rack-words`, {
+    board: { rack: rackOf('AT'), tileValues: { name: 'WWF' } },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.tileValues.name, 'WWF');
+  assert.deepEqual(
+    body.solution.wordsByLength.map((group) => group.words.map((entry) => entry.word)),
+    [['AT', 'TA']],
+  );
+});
+
+test('racks must hold 1 to 7 tiles of A-Z or blanks', async () => {
+  for (const rack of ['', 'ABCDEFGH', 'AB1']) {
+    const { status, body } = await postJson(`${app.baseUrl}/scrabble/rack-words`, { rack });
+    assert.equal(status, 400, rack);
+    assert.equal(body.error.code, 'INVALID_RACK');
+  }
+});
@@ -0,0 +1,23 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { postJson, useApp } = require('./helpers/app');
+
+const app = useApp();
+
+test('malformed JSON bodies are client errors', async () => {
+  for (const body of ['{"letters": ', '"abc"', 'abc']) {
+    const { status, body: response } = await postJson(`${app.baseUrl}/wordscapes/solve`, body);
+    assert.equal(status, 400, body);
+    assert.equal(response.error.code, 'INVALID_REQUEST');
+  }
+});
+
+test('bodies over 1 MB are rejected as too large', async () => {
+  const { status, body } = await postJson(`${app.baseUrl}/wordscapes/solve`, {
+    letters: 'A'.repeat(1024 * 1024),
+  });
+
+  assert.equal(status, 413);
+  assert.equal(body.error.code, 'INVALID_REQUEST');
+});
@@ -0,0 +1,98 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {
+  analyzeScrabbleBoard,
+  parseBoardPayload,
+  validateBoardWords,
+} = require('../lib/boardState');
+const { createDictionary } = require('../lib/dictionary');
+
+const dictionary = createDictionary(['at', 'cat', 'ta'], { name: 'test' });
+
+// `placements` are [row, col, word, direction] with direction 'ACROSS' or 'DOWN'.
+function analyze(placements) {
+  const tiles = Array.from({ length: 15 }, () => new Array(15).fill(null));
+  for (const [row, col, word, direction] of placements) {
+    word.split('').forEach((letter, index) => {
+      if (direction === 'ACROSS') {
+        tiles[row][col + index] = letter;
+      } else {
+        tiles[row + index][col] = letter;
+      }
+    });
+  }
+  const { board } = parseBoardPayload({
+    schema: 'WORDVINDER_SCRABBLE_EXTRACT_V1',
+    game: 'SCRABBLE',
+    rack: [],
+    board: { size: 15, tiles },
+    notes: [],
+  });
+  return analyzeScrabbleBoard(board, validateBoardWords(board, dictionary));
+}
+
+test('a connected play through the center square is fine', () => {
+  const result = analyze([
+    [7, 6, 'CAT', 'ACROSS'],
+    [8, 8, 'A', 'ACROSS'],
+  ]);
+
+  assert.deepEqual(result, {
+    ok: true,
+    tileCount: 4,
+    coversCenter: true,
+    connected: true,
+    warnings: [],
+  });
+});
+
+test('empty boards have nothing to check', () => {
+  const result = analyze([]);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.tileCount, 0);
+});
+
+test('boards that miss the center square are flagged', () => {
+  const result = analyze([[0, 0, 'CAT', 'ACROSS']]);
+
+  assert.equal(result.coversCenter, false);
+  assert.deepEqual(
+    result.warnings.map((warning) => warning.code),
+    ['CENTER_NOT_COVERED'],
+  );
+  assert.deepEqual(result.warnings[0].details, { row: 7, col: 7 });
+});
+
+test('tiles away from the group on the center square are reported', () => {
+  const result = analyze([
+    [0, 0, 'AT', 'ACROSS'],
+    [7, 6, 'CAT', 'ACROSS'],
+  ]);
+
+  assert.equal(result.connected, false);
+  assert.equal(result.warnings[0].code, 'TILES_DISCONNECTED');
+  assert.deepEqual(result.warnings[0].details.groups, [
+    [
+      { row: 0, col: 0, letter: 'A' },
+      { row: 0, col: 1, letter: 'T' },
+    ],
+  ]);
+});
+
+test('words missing from the dictionary are warned about with their position', () => {
+  const result = analyze([
+    [7, 6, 'CAT', 'ACROSS'],
+    [5, 8, 'XYT', 'DOWN'],
+  ]);
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.warnings, [
+    {
+      code: 'WORD_NOT_IN_DICTIONARY',
+      message: 'XYT is not in the test dictionary.',
+      details: { word: 'XYT', row: 5, col: 8, direction: 'DOWN' },
+    },
+  ]);
+});
@@ -0,0 +1,133 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { getPremiumLayout } = require('../lib/boardState/premiumSquares');
+const { getTileValues } = require('../lib/boardState/tileValues');
+const { createDictionary } = require('../lib/dictionary');
+const { generateScrabbleMoves } = require('../lib/solvers');
+
+const dictionary = createDictionary(['act', 'at', 'cat', 'cats', 'ta', 'tas'], { name: 'test' });
+
+function emptyTiles() {
+  return Array.from({ length: 15 }, () => new Array(15).fill(null));
+}
+
+function rackOf(letters) {
+  return letters
+    .split('')
+    .map((letter) =>
+      letter === '?' ? { letter: null, isBlank: true } : { letter, isBlank: false },
+    );
+}
+
+test('first moves cover the center square and score its double word', () => {
+  const result = generateScrabbleMoves(
+    { board: { tiles: emptyTiles() }, rack: rackOf('CAT') },
+    dictionary,
+  );
+
+  assert.ok(result.moves.length > 0);
+  for (const move of result.moves) {
+    assert.ok(move.tiles.some((tile) => tile.row === 7 && tile.col === 7));
+  }
+  const [best] = result.moves;
+  assert.equal(best.word, 'ACT');
+  assert.equal(best.score, 18);
+  assert.deepEqual(best.crossWords, []);
+});
+
+test('limit keeps the best moves in the order a full run returns them', () => {
+  const board = { board: { tiles: emptyTiles() }, rack: rackOf('CATS') };
+  const full = generateScrabbleMoves(board, dictionary, { limit: 500 });
+  const limited = generateScrabbleMoves(board, dictionary, { limit: 3 });
+
+  assert.equal(limited.totalMoves, full.totalMoves);
+  assert.deepEqual(limited.moves, full.moves.slice(0, 3));
+  for (let index = 1; index < full.moves.length; index += 1) {
+    assert.ok(full.moves[index - 1].score >= full.moves[index].score);
+  }
+});
+
+test('blanks score zero and are marked on the placed tiles', () => {
+  const result = generateScrabbleMoves(
+    { board: { tiles: emptyTiles() }, rack: rackOf('CA?') },
+    dictionary,
+  );
+
+  const [best] = result.moves;
+  const blank = best.tiles.find((tile) => tile.isBlank);
+  assert.ok(blank);
+  assert.equal(best.score, 12);
+});
+
+test('hooks score the word they extend', () => {
+  const tiles = emptyTiles();
+  'CAT'.split('').forEach((letter, index) => {
+    tiles[7][6 + index] = letter;
+  });
+
+  const result = generateScrabbleMoves({ board: { tiles }, rack: rackOf('S') }, dictionary);
+
+  assert.equal(result.totalMoves, 1);
+  assert.deepEqual(result.moves[0], {
+    direction: 'ACROSS',
+    word: 'CATS',
+    row: 7,
+    col: 6,
+    score: 10,
+    crossWords: [],
+    isBingo: false,
+    tiles: [{ row: 7, col: 9, letter: 'S', isBlank: false }],
+  });
+});
+
+test('bingos earn the bonus of the board layout', () => {
+  const points = getTileValues().points;
+  const face = 'SCATTER'.split('').reduce((sum, letter) => sum + points[letter], 0);
+  const scatter = createDictionary(['scatter'], { name: 'test' });
+
+  // Row 7, columns 4-10 of the WWF board has no premium squares.
+  const wwf = generateScrabbleMoves(
+    { board: { tiles: emptyTiles(), layout: getPremiumLayout('WWF') }, rack: rackOf('SCATTER') },
+    scatter,
+    { limit: 500 },
+  );
+  const plain = wwf.moves.find(
+    (move) => move.direction === 'ACROSS' && move.row === 7 && move.col === 4,
+  );
+  assert.equal(plain.isBingo, true);
+  assert.equal(plain.score, face + 35);
+
+  // On the classic board the same tiles cover the double-word center star.
+  const scrabble = generateScrabbleMoves(
+    { board: { tiles: emptyTiles() }, rack: rackOf('SCATTER') },
+    scatter,
+    { limit: 500 },
+  );
+  const doubled = scrabble.moves.find(
+    (move) => move.direction === 'ACROSS' && move.row === 7 && move.col === 4,
+  );
+  assert.equal(doubled.score, face * 2 + 50);
+});
+
+test('the search stops at its expansion budget and says so', () => {
+  const board = { board: { tiles: emptyTiles() }, rack: rackOf('CATS') };
+  const full = generateScrabbleMoves(board, dictionary);
+  const partial = generateScrabbleMoves(board, dictionary, { maxExpansions: 20 });
+
+  assert.equal(full.truncated, false);
+  assert.equal(partial.truncated, true);
+  assert.ok(partial.totalMoves < full.totalMoves);
+});
+
+test('blanks beyond two are left out of the search', () => {
+  const result = generateScrabbleMoves(
+    { board: { tiles: emptyTiles() }, rack: rackOf('???') },
+    dictionary,
+  );
+
+  assert.equal(result.truncated, true);
+  for (const move of result.moves) {
+    assert.ok(move.tiles.length <= 2);
+  }
+});
@@ -0,0 +1,71 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, test } = require('node:test');
+
+const { postImage, postJson, readImageFixture, useApp } = require('./helpers/app');
+
+const sessionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+const app = useApp({ SESSIONS_DIR: sessionsDir });
+
+after(() => fs.rmSync(sessionsDir, { recursive: true, force: true }));
+
+async function createSession() {
+  const { status, body } = await postJson(`${app.baseUrl}/sessions`, { players: ['Ana', 'Ben'] });
+  assert.equal(status, 201);
+  return body.session.id;
+}
+
+async function readSession(id) {
+  const response = await fetch(`${app.baseUrl}/sessions/${id}`);
+  return (await response.json()).session;
+}
+
+test('screenshots are read as Scrabble whatever game the query names', async () => {
+  const id = await createSession();
+
+  const { status, body } = await postImage(
+    `${app.baseUrl}/sessions/${id}/screenshots`,
+    readImageFixture('scrabble-board.png'),
+    { query: 'WORDSCAPES EXTRACT_BOARD_STATE_V1' },
+  );
+
+  assert.equal(status, 200);
+  assert.equal(body.detection.game, 'SCRABBLE');
+  assert.equal(body.turn.player, 'Ana');
+  assert.equal(body.turn.word, 'CAT');
+  assert.equal(body.turn.score, 18);
+});
+
+test('screenshots of other games are rejected and leave the session unchanged', async () => {
+  const id = await createSession();
+
+  const { status, body } = await postImage(
+    `${app.baseUrl}/sessions/${id}/screenshots`,
+    readImageFixture('wordscapes-board.png'),
+  );
+
+  assert.equal(status, 400);
+  assert.equal(body.error.code, 'UNSUPPORTED_GAME');
+  assert.equal(body.error.details.game, 'WORDSCAPES');
+  assert.deepEqual((await readSession(id)).turns, []);
+});
+
+test('boards that drop tiles of the current board are rejected', async () => {
+  const id = await createSession();
+  const tiles = Array.from({ length: 15 }, () => new Array(15).fill(null));
+  tiles[7][6] = 'C';
+  tiles[7][7] = 'A';
+  tiles[7][8] = 'T';
+  await postJson(`${app.baseUrl}/sessions/${id}/boards`, { board: { size: 15, tiles } });
+
+  tiles[7][8] = null;
+  const { status, body } = await postJson(`${app.baseUrl}/sessions/${id}/boards`, {
+    board: { size: 15, tiles },
+  });
+
+  assert.equal(status, 409);
+  assert.equal(body.error.code, 'BOARD_MISMATCH');
+  assert.equal((await readSession(id)).turns.length, 1);
+});
@@ -0,0 +1,74 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+// Custom sets are read when the module loads, so the directory is set up first.
+const tileValuesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tile-values-'));
+const points = Object.fromEntries(
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').map((letter) => [letter, 2]),
+);
+fs.writeFileSync(path.join(tileValuesDir, 'doubles.json'), JSON.stringify({ points }));
+fs.writeFileSync(
+  path.join(tileValuesDir, 'broken.json'),
+  JSON.stringify({ name: 'BROKEN', points: { A: 1 } }),
+);
+process.env.TILE_VALUES_DIR = tileValuesDir;
+test.mock.method(console, 'warn', () => {});
+
+const { buildUnseenTiles, parseBoardPayload } = require('../lib/boardState');
+const { getScrabblePoints } = require('../lib/boardState/scrabble');
+const { getTileValues, listTileValues } = require('../lib/boardState/tileValues');
+
+test.after(() => fs.rmSync(tileValuesDir, { recursive: true, force: true }));
+
+function parseRack(letters, options) {
+  return parseBoardPayload(
+    {
+      schema: 'WORDVINDER_SCRABBLE_EXTRACT_V1',
+      game: 'SCRABBLE',
+      rack: letters.map((letter) => ({ letter, isBlank: letter === null })),
+      board: { size: 15, tiles: Array.from({ length: 15 }, () => new Array(15).fill(null)) },
+      notes: [],
+    },
+    options,
+  );
+}
+
+test('the default set keeps the points the server has always used', () => {
+  assert.equal(getTileValues().name, 'WORDVINDER');
+  assert.equal(getScrabblePoints('e', false), 3);
+  assert.equal(getScrabblePoints('E', true), 0);
+});
+
+test('racks are scored with the selected set and report it', () => {
+  const classic = parseRack(['E', 'Q', null], { tileValues: 'scrabble' });
+  const wwf = parseRack(['E', 'Q', null], { tileValues: 'WWF' });
+
+  assert.equal(classic.board.tileValues.name, 'SCRABBLE');
+  assert.equal(getScrabblePoints('E', false, classic.board.tileValues), 1);
+  assert.equal(getScrabblePoints('L', false, wwf.board.tileValues), 2);
+});
+
+test('custom sets are loaded from JSON files named after the file', () => {
+  assert.ok(listTileValues().includes('DOUBLES'));
+  assert.ok(!listTileValues().includes('BROKEN'));
+
+  const result = parseRack(['Z'], { tileValues: 'doubles' });
+  assert.equal(getScrabblePoints('Z', false, result.board.tileValues), 2);
+});
+
+test('sets without a distribution leave out the unseen tiles', () => {
+  const result = parseRack(['Z'], { tileValues: 'DOUBLES' });
+
+  assert.equal(result.board.tileValues.distribution, null);
+  assert.equal(buildUnseenTiles(result.board), null);
+});
+
+test('unknown sets are rejected', () => {
+  const result = parseRack(['A'], { tileValues: 'BOGGLE' });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, 'INVALID_TILE_VALUES');
+});
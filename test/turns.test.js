@@ -0,0 +1,104 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { getPremiumLayout } = require('../lib/boardState/premiumSquares');
+const { getTileValues } = require('../lib/boardState/tileValues');
+const { createDictionary } = require('../lib/dictionary');
+const { inferTurn } = require('../lib/sessions/turns');
+
+const scoring = {
+  squares: getPremiumLayout().squares,
+  bingoBonus: getPremiumLayout().bingoBonus,
+  tileValues: getTileValues(),
+  dictionary: createDictionary(['cat', 'cats', 'at'], { name: 'test' }),
+};
+
+function boardWith(words) {
+  const tiles = Array.from({ length: 15 }, () => new Array(15).fill(null));
+  for (const { word, row, col, direction = 'ACROSS' } of words) {
+    word.split('').forEach((letter, index) => {
+      if (direction === 'ACROSS') {
+        tiles[row][col + index] = letter;
+      } else {
+        tiles[row + index][col] = letter;
+      }
+    });
+  }
+  return { tiles, blanks: [] };
+}
+
+const empty = boardWith([]);
+const cat = boardWith([{ word: 'CAT', row: 7, col: 6 }]);
+
+test('scores the tiles added since the previous board', () => {
+  const result = inferTurn(empty, cat, scoring);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.turn.type, 'play');
+  assert.equal(result.turn.word, 'CAT');
+  assert.equal(result.turn.direction, 'ACROSS');
+  assert.equal(result.turn.score, 18);
+  assert.deepEqual(result.turn.warnings, []);
+});
+
+test('an unchanged board is a pass', () => {
+  const result = inferTurn(cat, cat, scoring);
+  assert.deepEqual(result, { ok: true, turn: { type: 'pass', score: 0, tiles: [], warnings: [] } });
+});
+
+test('boards that lose tiles are rejected', () => {
+  const result = inferTurn(cat, boardWith([{ word: 'CA', row: 7, col: 6 }]), scoring);
+
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, 'BOARD_MISMATCH');
+  assert.equal(result.error.details.warnings[0].code, 'TILE_REMOVED');
+});
+
+test('illegal placements become unknown turns', () => {
+  const cases = [
+    [empty, boardWith([{ word: 'CAT', row: 2, col: 2 }]), 'CENTER_NOT_COVERED'],
+    [empty, boardWith([{ word: 'C', row: 7, col: 7 }]), 'SINGLE_LETTER_WORD'],
+    [
+      cat,
+      boardWith([
+        { word: 'CAT', row: 7, col: 6 },
+        { word: 'AT', row: 1, col: 1 },
+      ]),
+      'TILES_NOT_ATTACHED',
+    ],
+    [
+      cat,
+      boardWith([
+        { word: 'CAT', row: 7, col: 6 },
+        { word: 'A', row: 1, col: 1 },
+        { word: 'T', row: 3, col: 3 },
+      ]),
+      'TILES_NOT_IN_LINE',
+    ],
+  ];
+
+  for (const [previous, next, code] of cases) {
+    const result = inferTurn(previous, next, scoring);
+    assert.equal(result.ok, true);
+    assert.equal(result.turn.type, 'unknown', code);
+    assert.equal(result.turn.score, 0);
+    assert.equal(result.turn.warnings[0].code, code);
+  }
+});
+
+test('words missing from the dictionary are flagged but still scored', () => {
+  const next = boardWith([
+    { word: 'CAT', row: 7, col: 6 },
+    { word: 'CAB', row: 7, col: 6, direction: 'DOWN' },
+  ]);
+
+  const result = inferTurn(cat, next, scoring);
+
+  assert.equal(result.turn.type, 'play');
+  assert.equal(result.turn.word, 'CAB');
+  assert.ok(result.turn.score > 0);
+  assert.deepEqual(
+    result.turn.warnings.map((warning) => warning.code),
+    ['WORD_NOT_IN_DICTIONARY'],
+  );
+});
@@ -0,0 +1,78 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { buildUnseenTiles, parseBoardPayload } = require('../lib/boardState');
+const { getTileValues } = require('../lib/boardState/tileValues');
+
+// Lays `letters` out row by row from the top left; `blanks` are { row, col } of
+// placed tiles that are blanks, and nulls in `rack` are blank tiles.
+function unseenTiles(letters, { blanks = [], rack = [] } = {}) {
+  const tiles = Array.from({ length: 15 }, () => new Array(15).fill(null));
+  letters.split('').forEach((letter, index) => {
+    tiles[Math.floor(index / 15)][index % 15] = letter;
+  });
+  const { board } = parseBoardPayload(
+    {
+      schema: 'WORDVINDER_SCRABBLE_EXTRACT_V1',
+      game: 'SCRABBLE',
+      rack: rack.map((letter) => ({ letter, isBlank: letter === null })),
+      board: { size: 15, tiles, blanks },
+      notes: [],
+    },
+    { tileValues: 'SCRABBLE' },
+  );
+  return buildUnseenTiles(board);
+}
+
+test('tiles on the board and rack are taken out of the distribution', () => {
+  const result = unseenTiles('CAT', { blanks: [{ row: 0, col: 1 }], rack: ['Q', null] });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.tileValues, 'SCRABBLE');
+  assert.equal(result.total, 95);
+  assert.equal(result.bagSize, 88);
+  assert.equal(result.letters.A, 9);
+  assert.equal(result.letters.C, 1);
+  assert.equal(result.letters.T, 5);
+  assert.equal(result.letters.Q, undefined);
+  assert.equal(result.blanks, 0);
+  assert.deepEqual([result.vowels, result.consonants, result.vowelConsonantRatio], [42, 53, 0.79]);
+  assert.deepEqual(result.opponentRack, { size: 7, known: false, tiles: null });
+});
+
+test("once the bag is empty the opponent's rack is known", () => {
+  const { counts } = getTileValues('SCRABBLE').distribution;
+  const placed = { ...counts, E: counts.E - 2, R: counts.R - 1 };
+  // The extra S at the end is the second blank.
+  const letters = Object.entries(placed)
+    .map(([letter, count]) => letter.repeat(count))
+    .join('')
+    .concat('S');
+
+  const result = unseenTiles(letters, { blanks: [{ row: 6, col: 5 }] });
+
+  assert.equal(result.total, 4);
+  assert.equal(result.bagSize, 0);
+  assert.deepEqual(result.letters, { E: 2, R: 1 });
+  assert.equal(result.vowelConsonantRatio, 2);
+  assert.deepEqual(result.opponentRack, { size: 4, known: true, tiles: 'EER_' });
+});
+
+test('more tiles than the set holds are flagged', () => {
+  const result = unseenTiles('QQ', { rack: [null, null, null] });
+
+  assert.equal(result.ok, false);
+  assert.deepEqual(result.warnings, [
+    {
+      code: 'TOO_MANY_TILES',
+      message: '2 Q tiles are visible but the set only has 1.',
+      details: { letter: 'Q', seen: 2, available: 1 },
+    },
+    {
+      code: 'TOO_MANY_BLANKS',
+      message: '3 blanks are visible but the set only has 2.',
+      details: { seen: 3, available: 2 },
+    },
+  ]);
+  assert.equal(result.blanks, 0);
+});
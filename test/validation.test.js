@@ -0,0 +1,73 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { parseBoardPayload, validateBoardWords } = require('../lib/boardState');
+const { editDistance } = require('../lib/boardState/validation');
+const { createDictionary } = require('../lib/dictionary');
+
+const dictionary = createDictionary(['dirk', 'dirt', 'tidy', 'riot', 'ca', 'cat', 'cot'], {
+  name: 'test',
+});
+
+function parseWordscapes(words) {
+  return parseBoardPayload({
+    schema: 'WORDVINDER_BOARD_EXTRACT_V4',
+    game: 'WORDSCAPES',
+    letters: ['D', 'I', 'O', 'R', 'Y', 'T'],
+    missingByLength: [],
+    solvedWordsByLength: [{ length: 4, words }],
+    notes: [],
+  }).board;
+}
+
+test('edit distance counts swapped neighbours as one edit', () => {
+  assert.equal(editDistance('CAT', 'ACT'), 1);
+  assert.equal(editDistance('TIDV', 'TIDY'), 1);
+  assert.equal(editDistance('DIRT', 'RIOT'), 2);
+});
+
+test('unknown Wordscapes words get suggestions the wheel can spell', () => {
+  const result = validateBoardWords(parseWordscapes(['DIRT', 'TIDV', 'DIRX']), dictionary);
+
+  assert.deepEqual(result, {
+    dictionary: 'test',
+    words: [
+      { word: 'DIRT', valid: true },
+      { word: 'TIDV', valid: false, suggestions: ['TIDY'] },
+      // DIRK is one letter away too, but the wheel has no K.
+      { word: 'DIRX', valid: false, suggestions: ['DIRT'] },
+    ],
+    invalidCount: 2,
+  });
+});
+
+test('Scrabble words are read along rows and columns', () => {
+  const tiles = Array.from({ length: 15 }, () => new Array(15).fill(null));
+  tiles[7][6] = 'C';
+  tiles[7][7] = 'X';
+  tiles[7][8] = 'T';
+  tiles[8][6] = 'A';
+  const board = parseBoardPayload({
+    schema: 'WORDVINDER_SCRABBLE_EXTRACT_V1',
+    game: 'SCRABBLE',
+    rack: [],
+    board: { size: 15, tiles },
+    notes: [],
+  }).board;
+
+  const result = validateBoardWords(board, dictionary);
+
+  assert.equal(result.invalidCount, 1);
+  assert.deepEqual(result.words, [
+    {
+      word: 'CXT',
+      row: 7,
+      col: 6,
+      direction: 'ACROSS',
+      length: 3,
+      valid: false,
+      suggestions: ['CAT', 'COT'],
+    },
+    { word: 'CA', row: 7, col: 6, direction: 'DOWN', length: 2, valid: true },
+  ]);
+});
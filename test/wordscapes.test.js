@@ -0,0 +1,54 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { buildSummary, parseBoardPayload } = require('../lib/boardState');
+const { createDictionary } = require('../lib/dictionary');
+const { solveWordscapes } = require('../lib/solvers');
+
+const dictionary = createDictionary(
+  ['eerie', 'ester', 'reset', 'rest', 'sees', 'steer', 'tees', 'terse', 'tree'],
+  { name: 'test' },
+);
+
+function parseWheel(letters, fields = {}) {
+  return parseBoardPayload({
+    schema: 'WORDVINDER_BOARD_EXTRACT_V4',
+    game: 'WORDSCAPES',
+    letters,
+    missingByLength: [
+      { length: 4, count: null },
+      { length: 5, count: 2 },
+    ],
+    notes: [],
+    ...fields,
+  });
+}
+
+test('repeated wheel letters are kept with their counts', () => {
+  const result = parseWheel(['e', 'E', 'R', 'T', 'S']);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.board.letters, ['E', 'E', 'R', 'T', 'S']);
+  assert.deepEqual(result.board.letterCounts, { E: 2, R: 1, T: 1, S: 1 });
+  assert.equal(buildSummary(result.board).letters, 'E E R T S');
+});
+
+test('wheels need 5 to 8 tiles, repeated or not', () => {
+  assert.equal(parseWheel(['A', 'A', 'A', 'A', 'A']).ok, true);
+
+  const short = parseWheel(['E', 'R', 'T', 'S']);
+  assert.equal(short.ok, false);
+  assert.equal(short.error.code, 'MODEL_OUTPUT_SCHEMA_INVALID');
+});
+
+test('candidates use each letter at most as often as the wheel has it', () => {
+  const { board } = parseWheel(['E', 'E', 'R', 'T', 'S'], {
+    solvedWordsByLength: [{ length: 5, words: ['TERSE'] }],
+  });
+
+  // EERIE and SEES need letters the wheel has fewer of; TERSE is already solved.
+  assert.deepEqual(solveWordscapes(board, dictionary).candidatesByLength, [
+    { length: 4, missingCount: null, words: ['REST', 'TEES', 'TREE'] },
+    { length: 5, missingCount: 2, words: ['ESTER', 'RESET', 'STEER'] },
+  ]);
+});
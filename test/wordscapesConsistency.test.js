@@ -0,0 +1,86 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { checkWordscapesConsistency, parseBoardPayload } = require('../lib/boardState');
+const { postJson, useApp } = require('./helpers/app');
+
+const app = useApp();
+
+function parseWordscapes(fields) {
+  return parseBoardPayload({
+    schema: 'WORDVINDER_BOARD_EXTRACT_V4',
+    game: 'WORDSCAPES',
+    letters: ['D', 'I', 'O', 'R', 'Y', 'T'],
+    missingByLength: [{ length: 4, count: 2 }],
+    notes: [],
+    ...fields,
+  }).board;
+}
+
+function readWarnings(board) {
+  return checkWordscapesConsistency(board).warnings.map((warning) => [
+    warning.code,
+    warning.details,
+  ]);
+}
+
+test('boards whose fields agree have no warnings', () => {
+  const board = parseWordscapes({ solvedWordsByLength: [{ length: 4, words: ['DIRT'] }] });
+  assert.deepEqual(checkWordscapesConsistency(board), { ok: true, warnings: [] });
+});
+
+test('solved words must fit the wheel and the length groups', () => {
+  const board = parseWordscapes({
+    solvedWordsByLength: [
+      { length: 4, words: ['DIRK', 'DODO'] },
+      { length: 3, words: ['DOT'] },
+    ],
+  });
+
+  assert.deepEqual(readWarnings(board), [
+    ['SOLVED_LENGTH_NOT_ON_BOARD', { length: 3, words: ['DOT'] }],
+    ['SOLVED_WORD_FOREIGN_LETTERS', { word: 'DIRK', letters: ['K'] }],
+    [
+      'SOLVED_WORD_LETTER_COUNT',
+      {
+        word: 'DODO',
+        letters: [
+          { letter: 'D', needed: 2, available: 1 },
+          { letter: 'O', needed: 2, available: 1 },
+        ],
+      },
+    ],
+  ]);
+});
+
+test('word list slots must match missingByLength', () => {
+  const board = parseWordscapes({
+    wordLists: [
+      { length: 4, slots: ['DIRT', null] },
+      { length: 5, slots: [null] },
+    ],
+  });
+
+  assert.deepEqual(readWarnings(board), [
+    ['WORD_LIST_COUNT_MISMATCH', { length: 4, emptySlots: 1, missingCount: 2 }],
+    ['WORD_LIST_LENGTH_MISMATCH', { length: 5 }],
+  ]);
+});
+
+test('the solve route reports warnings and rejects the board in strict mode', async () => {
+  const board = {
+    letters: ['D', 'I', 'O', 'R', 'Y', 'T'],
+    missingByLength: [{ length: 4, count: 1 }],
+    solvedWordsByLength: [{ length: 4, words: ['DIRK'] }],
+  };
+
+  const lenient = await postJson(`${app.baseUrl}/wordscapes/solve`, { board });
+  assert.equal(lenient.status, 200);
+  assert.equal(lenient.body.consistency.ok, false);
+  assert.equal(lenient.body.consistency.warnings[0].code, 'SOLVED_WORD_FOREIGN_LETTERS');
+
+  const strict = await postJson(`${app.baseUrl}/wordscapes/solve`, { board, strict: true });
+  assert.equal(strict.status, 400);
+  assert.equal(strict.body.error.code, 'BOARD_INCONSISTENT');
+  assert.equal(strict.body.error.details[0].code, 'SOLVED_WORD_FOREIGN_LETTERS');
+});
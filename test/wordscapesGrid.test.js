@@ -0,0 +1,94 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const { parseModelOutput } = require('../lib/boardState');
+const { createDictionary } = require('../lib/dictionary');
+const { solveWordscapes } = require('../lib/solvers');
+
+const dictionary = createDictionary(['dirt', 'dory', 'rid', 'rot', 'toy', 'yod'], {
+  name: 'test',
+});
+
+function parseGrid(cells, slots) {
+  return parseModelOutput(
+    JSON.stringify({
+      schema: 'WORDVINDER_BOARD_EXTRACT_V5',
+      game: 'WORDSCAPES',
+      letters: ['D', 'I', 'O', 'R', 'Y', 'T'],
+      grid: { rows: 4, cols: 4, cells },
+      slots,
+      notes: [],
+    }),
+  );
+}
+
+test('V5 boards merge revealed letters from cells and slots', () => {
+  const result = parseGrid(
+    [{ row: 0, col: 0, letter: 'd' }],
+    [
+      { row: 0, col: 0, direction: 'across', length: 4, letters: [null, 'I'] },
+      { row: 0, col: 3, direction: 'DOWN', length: 3, letters: ['T', 'O', 'Y'] },
+    ],
+  );
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.board.slots, [
+    {
+      row: 0,
+      col: 0,
+      direction: 'ACROSS',
+      length: 4,
+      letters: ['D', 'I', null, 'T'],
+      solved: false,
+    },
+    { row: 0, col: 3, direction: 'DOWN', length: 3, letters: ['T', 'O', 'Y'], solved: true },
+  ]);
+  assert.deepEqual(result.board.missingByLength, [
+    { length: 3, count: 0 },
+    { length: 4, count: 1 },
+  ]);
+  assert.deepEqual(result.board.solvedWordsByLength, [{ length: 3, words: ['TOY'] }]);
+});
+
+test('conflicting readings keep the grid letter and say so', () => {
+  const result = parseGrid(
+    [{ row: 2, col: 3, letter: 'D' }],
+    [{ row: 0, col: 3, direction: 'DOWN', length: 3, letters: [null, null, 'R'] }],
+  );
+
+  assert.deepEqual(result.board.slots[0].letters, [null, null, 'D']);
+  assert.deepEqual(result.board.notes, [
+    'Slot at 0,3 DOWN reads R at 2,3 but the grid has D; kept D.',
+  ]);
+});
+
+test('slots that leave the grid are rejected', () => {
+  const result = parseGrid([], [{ row: 2, col: 0, direction: 'DOWN', length: 3 }]);
+
+  assert.equal(result.ok, false);
+  assert.equal(result.error.code, 'MODEL_OUTPUT_SCHEMA_INVALID');
+});
+
+test('candidates follow the revealed letters and the crossings', () => {
+  // D??? across shares its last cell with ??D down: only DORY and YOD agree on it.
+  const { board } = parseGrid(
+    [
+      { row: 0, col: 0, letter: 'D' },
+      { row: 2, col: 3, letter: 'D' },
+    ],
+    [
+      { row: 0, col: 0, direction: 'ACROSS', length: 4 },
+      { row: 0, col: 3, direction: 'DOWN', length: 3 },
+    ],
+  );
+
+  const solution = solveWordscapes(board, dictionary);
+
+  assert.deepEqual(
+    solution.candidatesBySlot.map((slot) => [slot.pattern, slot.words]),
+    [
+      ['D???', ['DORY']],
+      ['??D', ['YOD']],
+    ],
+  );
+});